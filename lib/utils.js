@@ -72,7 +72,7 @@ class BattlefieldUtils {
   }
 
   /**
-   * Gets status effect configuration
+   * Gets status effect configuration, including the default numeric changes of each preset
    * @returns {object} Status effect configuration
    */
   static getStatusEffects() {
@@ -80,46 +80,76 @@ class BattlefieldUtils {
       strength: {
         id: 'strength',
         label: this.i18n('StatusEffects.Strength'),
-        icon: 'systems/battlefield-system/icons/strength.svg'
+        icon: 'systems/battlefield-system/icons/strength.svg',
+        changes: [{ key: 'system.powerRating', mode: CONST.ACTIVE_EFFECT_MODES.ADD, value: '10' }]
       },
       weakness: {
         id: 'weakness',
         label: this.i18n('StatusEffects.Weakness'),
-        icon: 'systems/battlefield-system/icons/weakness.svg'
+        icon: 'systems/battlefield-system/icons/weakness.svg',
+        changes: [{ key: 'system.powerRating', mode: CONST.ACTIVE_EFFECT_MODES.ADD, value: '-10' }]
       },
       speed: {
         id: 'speed',
         label: this.i18n('StatusEffects.Speed'),
-        icon: 'systems/battlefield-system/icons/speed.svg'
+        icon: 'systems/battlefield-system/icons/speed.svg',
+        changes: [{ key: 'system.movement.bonus', mode: CONST.ACTIVE_EFFECT_MODES.ADD, value: '1' }]
       },
       slow: {
         id: 'slow',
         label: this.i18n('StatusEffects.Slow'),
-        icon: 'systems/battlefield-system/icons/slow.svg'
+        icon: 'systems/battlefield-system/icons/slow.svg',
+        changes: [{ key: 'system.movement.multiplier', mode: CONST.ACTIVE_EFFECT_MODES.MULTIPLY, value: '0.5' }]
       },
       defense: {
         id: 'defense',
         label: this.i18n('StatusEffects.Defense'),
-        icon: 'systems/battlefield-system/icons/defense.svg'
+        icon: 'systems/battlefield-system/icons/defense.svg',
+        changes: [{ key: 'system.defenseValue', mode: CONST.ACTIVE_EFFECT_MODES.ADD, value: '2' }]
       },
       vulnerable: {
         id: 'vulnerable',
         label: this.i18n('StatusEffects.Vulnerable'),
-        icon: 'systems/battlefield-system/icons/vulnerable.svg'
+        icon: 'systems/battlefield-system/icons/vulnerable.svg',
+        changes: [{ key: 'system.defenseValue', mode: CONST.ACTIVE_EFFECT_MODES.ADD, value: '-2' }]
       },
       attack: {
         id: 'attack',
         label: this.i18n('StatusEffects.Attack'),
-        icon: 'systems/battlefield-system/icons/attack.svg'
+        icon: 'systems/battlefield-system/icons/attack.svg',
+        changes: [{ key: 'system.powerRating', mode: CONST.ACTIVE_EFFECT_MODES.ADD, value: '5' }]
       },
       stun: {
         id: 'stun',
         label: this.i18n('StatusEffects.Stun'),
-        icon: 'systems/battlefield-system/icons/stun.svg'
+        icon: 'systems/battlefield-system/icons/stun.svg',
+        changes: [{ key: 'system.movement.multiplier', mode: CONST.ACTIVE_EFFECT_MODES.OVERRIDE, value: '0' }]
       }
     };
   }
 
+  /**
+   * Finds the preset status whose label matches a status name
+   * @param {string} name - Status name
+   * @returns {object|undefined} Matching status effect configuration
+   */
+  static findStatusPreset(name) {
+    return Object.values(this.getStatusEffects()).find(status => status.label === name);
+  }
+
+  /**
+   * Gets the preset statuses in the format of CONFIG.statusEffects
+   * Names are translation keys, since translations are not loaded yet during init
+   * @returns {Array<object>} Token condition configuration
+   */
+  static getTokenConditions() {
+    return Object.values(this.getStatusEffects()).map(status => ({
+      id: status.id,
+      name: `battlefield-system.StatusEffects.${this.capitalize(status.id)}`,
+      img: status.icon
+    }));
+  }
+
   /**
    * Creates a debounce function
    * @param {Function} func - Function to debounce
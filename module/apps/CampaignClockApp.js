@@ -0,0 +1,134 @@
+/*
+ * CampaignClockApp - Small GM control window for the campaign clock
+ */
+
+import logger from '../utils/Logger.js';
+import { CampaignClock } from '../campaign/CampaignClock.js';
+import { Economy } from '../campaign/Economy.js';
+import { CampaignEvents } from '../campaign/CampaignEvents.js';
+
+export class CampaignClockApp extends Application {
+    /**
+     * Define default rendering options for the application
+     */
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'battlefield-campaign-clock',
+            classes: ['battlefield-system', 'campaign-clock'],
+            template: 'systems/battlefield-system/templates/apps/campaign-clock.hbs',
+            title: '战役时钟',
+            width: 300,
+            height: 'auto'
+        });
+    }
+
+    /**
+     * Render the shared clock window, creating it on first use
+     * @returns {CampaignClockApp} The clock window
+     */
+    static show() {
+        this._instance ??= new this();
+        return this._instance.render(true);
+    }
+
+    /**
+     * Re-render the clock window if it is open
+     */
+    static refresh() {
+        if (this._instance?.rendered) this._instance.render(false);
+    }
+
+    /**
+     * Prepare data for rendering the application
+     */
+    getData() {
+        return {
+            ...CampaignClock.getState(),
+            isGM: game.user.isGM,
+            // Log of the campaign events active on each actor
+            events: CampaignEvents.getActors().map(actor => ({
+                uuid: actor.uuid,
+                name: actor.name,
+                img: actor.img,
+                events: CampaignEvents.getActiveEvents(actor)
+            }))
+        };
+    }
+
+    /**
+     * Activate event listeners using the prepared HTML
+     * @param {HTMLElement} html - The prepared HTML object ready to be rendered into the DOM
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('[data-action="advance-turn"]').click(this._onAdvanceTurn.bind(this));
+        html.find('[data-action="collect-income"]').click(this._onCollectIncome.bind(this));
+        html.find('[data-action="pay-upkeep"]').click(this._onPayUpkeep.bind(this));
+        html.find('[data-action="draw-event"]').click(this._onDrawEvent.bind(this));
+        html.find('.event-actor[data-uuid]').click(this._onOpenActor.bind(this));
+        html.find('.campaign-turn-input').change(this._onSetTurn.bind(this));
+    }
+
+    /**
+     * Handle advancing the campaign by one turn
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onAdvanceTurn(event) {
+        event.preventDefault();
+        await CampaignClock.advance();
+    }
+
+    /**
+     * Handle collecting faction income outside of the turn advance
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onCollectIncome(event) {
+        event.preventDefault();
+        await Economy.collectIncome();
+    }
+
+    /**
+     * Handle paying army upkeep outside of the turn advance
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onPayUpkeep(event) {
+        event.preventDefault();
+        await Economy.payUpkeep();
+    }
+
+    /**
+     * Handle drawing a card from the campaign event deck
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onDrawEvent(event) {
+        event.preventDefault();
+        await CampaignEvents.draw();
+    }
+
+    /**
+     * Handle opening the sheet of an actor in the event log
+     * @param {Event} event - The click event
+     * @private
+     */
+    _onOpenActor(event) {
+        event.preventDefault();
+        fromUuidSync(event.currentTarget.dataset.uuid)?.sheet.render(true);
+    }
+
+    /**
+     * Handle manually setting the campaign turn
+     * @param {Event} event - The change event
+     * @private
+     */
+    async _onSetTurn(event) {
+        event.preventDefault();
+        const turn = parseInt(event.currentTarget.value);
+        logger.debug(`Setting campaign turn to ${turn} from the clock window`);
+        await CampaignClock.setTurn(turn);
+    }
+}
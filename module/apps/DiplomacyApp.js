@@ -0,0 +1,118 @@
+/*
+ * DiplomacyApp - World-level matrix of the stances between all factions
+ */
+
+import logger from '../utils/Logger.js';
+import { Diplomacy } from '../campaign/Diplomacy.js';
+
+export class DiplomacyApp extends Application {
+    /**
+     * Define default rendering options for the application
+     */
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'battlefield-diplomacy',
+            classes: ['battlefield-system', 'diplomacy-matrix'],
+            template: 'systems/battlefield-system/templates/apps/diplomacy-matrix.hbs',
+            title: '外交矩阵',
+            width: 'auto',
+            height: 'auto',
+            resizable: true
+        });
+    }
+
+    /**
+     * Render the shared diplomacy window, creating it on first use
+     * @returns {DiplomacyApp} The diplomacy window
+     */
+    static show() {
+        this._instance ??= new this();
+        return this._instance.render(true);
+    }
+
+    /**
+     * Re-render the diplomacy window if it is open
+     */
+    static refresh() {
+        if (this._instance?.rendered) this._instance.render(false);
+    }
+
+    /**
+     * Prepare data for rendering the application
+     */
+    getData() {
+        const { stances, treatyTypes } = CONFIG.BATTLEFIELD.diplomacy;
+        const factions = Diplomacy.getFactions();
+
+        return {
+            factions: factions.map(faction => ({
+                uuid: faction.uuid,
+                name: faction.name,
+                icon: faction.system.icon || faction.img
+            })),
+            rows: factions.map(faction => ({
+                uuid: faction.uuid,
+                name: faction.name,
+                icon: faction.system.icon || faction.img,
+                cells: factions.map(other => {
+                    if (other === faction) return { isSelf: true };
+
+                    const relation = faction.system.getRelation(other);
+                    const stance = relation?.stance ?? 'neutral';
+                    const lastDeed = relation?.deeds.at(-1);
+                    const treaties = (relation?.treaties ?? []).map(treaty => treatyTypes[treaty.type]);
+                    return {
+                        other: other.uuid,
+                        stance,
+                        ...stances[stance],
+                        treaties,
+                        tooltip: [
+                            `${faction.name} → ${other.name}: ${stances[stance].label}`,
+                            ...treaties.map(treaty => treaty.label),
+                            lastDeed ? `第 ${lastDeed.turn ?? '?'} 回合: ${lastDeed.text}` : ''
+                        ].filter(Boolean).join('\n'),
+                        editable: faction.isOwner
+                    };
+                })
+            })),
+            stances: Object.values(stances)
+        };
+    }
+
+    /**
+     * Activate event listeners using the prepared HTML
+     * @param {HTMLElement} html - The prepared HTML object ready to be rendered into the DOM
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('.diplomacy-cell.editable').click(this._onCycleStance.bind(this));
+        html.find('.diplomacy-faction[data-uuid]').click(this._onOpenFaction.bind(this));
+    }
+
+    /**
+     * Handle clicking a cell to move the stance to the next one
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onCycleStance(event) {
+        event.preventDefault();
+
+        const { faction, other, stance } = event.currentTarget.dataset;
+        const stances = Object.keys(CONFIG.BATTLEFIELD.diplomacy.stances);
+        const next = stances[(stances.indexOf(stance) + 1) % stances.length];
+
+        logger.debug(`Cycling stance of ${faction} towards ${other} to ${next}`);
+        await Diplomacy.setStance(fromUuidSync(faction), fromUuidSync(other), next);
+    }
+
+    /**
+     * Handle opening a faction's sheet from a matrix header
+     * @param {Event} event - The click event
+     * @private
+     */
+    _onOpenFaction(event) {
+        event.preventDefault();
+        fromUuidSync(event.currentTarget.dataset.uuid)?.sheet.render(true);
+    }
+}
@@ -0,0 +1,233 @@
+/*
+ * BattleResolver - Resolves battles between two or more army actors
+ */
+
+import logger from '../utils/Logger.js';
+
+export class BattleResolver {
+    /**
+     * Path of the chat card template
+     * @type {string}
+     */
+    static TEMPLATE = 'systems/battlefield-system/templates/chat/battle-card.hbs';
+
+    /**
+     * Build the roll data used for an army's battle roll
+     * @param {Actor} actor - The army actor
+     * @returns {Object} Roll data for the battle formula
+     */
+    static getBattleRollData(actor) {
+        const config = CONFIG.BATTLEFIELD.battle;
+        const system = actor.system;
+        const legionCount = system.getActiveLegions().length;
+
+        return {
+            ...actor.getRollData(),
+            powerRating: system.powerRating || 0,
+            sizeBonus: Math.floor((system.size || 0) / config.sizePerBonus),
+            // Legion power rating bonuses are already part of the prepared power rating
+            legionBonus: legionCount * config.legionBonus
+        };
+    }
+
+    /**
+     * Summarise the heroes able to fight with an army so chat cards can link to them
+     * Dead heroes and heroes recovering from injuries stay out of the battle.
+     * @param {Actor} actor - The army actor
+     * @returns {Array<Object>} Hero references {uuid, name, img}
+     */
+    static getHeroReferences(actor) {
+        return actor.system.getHeroes().filter(hero => hero.system.isAvailable).map(hero => ({
+            uuid: hero.uuid,
+            name: hero.name,
+            img: hero.img
+        }));
+    }
+
+    /**
+     * Roll the battle formula for one side
+     * @param {Actor} actor - The army actor
+     * @returns {Promise<Object>} The side's roll result
+     */
+    static async rollSide(actor) {
+        const formula = CONFIG.BATTLEFIELD.battle.formula;
+        const rollData = this.getBattleRollData(actor);
+        const roll = await new Roll(formula, rollData).evaluate();
+
+        return {
+            actor,
+            roll,
+            total: roll.total,
+            modifiers: this.getFormulaModifiers(formula, rollData)
+        };
+    }
+
+    /**
+     * Pick the numeric values a formula refers to out of its roll data, to keep chat card flags small
+     * @param {string} formula - The roll formula
+     * @param {Object} rollData - The roll data
+     * @returns {Object<string, number>} The referenced values, keyed by their path without the "@"
+     */
+    static getFormulaModifiers(formula, rollData) {
+        return Object.fromEntries(Array.from(formula.matchAll(/@([a-z.0-9_-]+)/gi), ([, key]) => key)
+            .map(key => [key, foundry.utils.getProperty(rollData, key)])
+            .filter(([, value]) => typeof value === 'number'));
+    }
+
+    /**
+     * Work out casualties for every side based on the margin to the winner
+     * @param {Array<Object>} sides - Rolled sides, sorted by total descending
+     * @param {boolean} isDraw - Whether the top two sides tied
+     * @returns {Array<number>} Casualties per side, in the same order
+     */
+    static computeCasualties(sides, isDraw) {
+        const config = CONFIG.BATTLEFIELD.battle;
+        const best = sides[0].total;
+
+        return sides.map((side, index) => {
+            const size = side.actor.system.size || 0;
+            let rate;
+
+            if (index === 0 || (isDraw && side.total === best)) {
+                rate = config.winnerCasualties;
+            } else {
+                const margin = best - side.total;
+                rate = Math.min(margin * config.loserCasualtiesPerMargin, config.maxLoserCasualties);
+            }
+
+            return Math.min(size, Math.round(size * rate));
+        });
+    }
+
+    /**
+     * Resolve a battle between armies and post the result to chat
+     * @param {Array<Actor>} armies - The participating army actors, the first being the attacker
+     * @returns {Promise<Object|null>} The battle result, or null if it could not be resolved
+     */
+    static async resolve(armies) {
+        try {
+            const participants = [...new Set(armies)].filter(actor => actor?.isArmyActor?.());
+            if (participants.length < 2) {
+                throw new Error('A battle needs at least two armies');
+            }
+
+            const sides = [];
+            for (const actor of participants) {
+                sides.push(await this.rollSide(actor));
+            }
+            sides.sort((a, b) => b.total - a.total);
+
+            const isDraw = sides[0].total === sides[1].total;
+            const casualties = this.computeCasualties(sides, isDraw);
+
+            const result = {
+                type: 'battle',
+                isDraw,
+                margin: sides[0].total - sides[1].total,
+                attackerUuid: participants[0].uuid,
+                winnerUuid: isDraw ? null : sides[0].actor.uuid,
+                sides: sides.map((side, index) => ({
+                    actorUuid: side.actor.uuid,
+                    name: side.actor.name,
+                    img: side.actor.img,
+                    formula: side.roll.formula,
+                    total: side.total,
+                    modifiers: side.modifiers,
+                    sizeBefore: side.actor.system.size || 0,
+                    casualties: casualties[index],
+                    heroes: this.getHeroReferences(side.actor),
+                    isWinner: !isDraw && index === 0
+                }))
+            };
+
+            const message = await this._postBattleCard(result, sides.map(side => side.roll));
+            Hooks.callAll('battlefield-system.battleResolved', result, message);
+
+            logger.debug(`Resolved battle between ${participants.map(actor => actor.name).join(', ')}`, result);
+            return result;
+        } catch (err) {
+            logger.error('Failed to resolve battle:', err);
+            ui.notifications.error(`战斗结算失败: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Render the battle result chat card
+     * @param {Object} result - The battle result
+     * @param {Array<Roll>} rolls - The evaluated rolls
+     * @returns {Promise<ChatMessage>} The created chat message
+     * @private
+     */
+    static async _postBattleCard(result, rolls) {
+        const winner = result.sides.find(side => side.isWinner);
+        const content = await renderTemplate(this.TEMPLATE, { ...result, winner });
+
+        return ChatMessage.create({
+            speaker: ChatMessage.getSpeaker(),
+            content,
+            rolls,
+            sound: CONFIG.sounds.dice,
+            flags: {
+                'battlefield-system': {
+                    battle: result
+                }
+            }
+        });
+    }
+
+    /**
+     * Ask the user to pick opponents for an army, then resolve the battle
+     * @param {Actor} actor - The army starting the battle
+     * @returns {Promise<Object|null>} The battle result
+     */
+    static async promptOpponent(actor) {
+        const candidates = game.actors.filter(other => other.isArmyActor() && other.id !== actor.id);
+        if (!candidates.length) {
+            ui.notifications.warn('没有可以交战的其他军队');
+            return null;
+        }
+
+        const options = candidates.map(other => `
+            <label class="battle-opponent">
+                <input type="checkbox" name="opponents" value="${other.id}" />
+                <img src="${other.img}" width="24" height="24" />
+                <span>${other.name}</span>
+            </label>`).join('');
+
+        const selected = await foundry.applications.api.DialogV2.prompt({
+            window: { title: `${actor.name} - 选择对手` },
+            content: `<div class="battle-opponents">${options}</div>`,
+            ok: {
+                label: '开战',
+                icon: 'fas fa-swords',
+                callback: (event, button) => Array.from(
+                    button.form.querySelectorAll('input[name="opponents"]:checked'),
+                    input => input.value
+                )
+            },
+            rejectClose: false
+        });
+
+        if (!selected?.length) return null;
+        return this.resolve([actor, ...selected.map(id => game.actors.get(id))]);
+    }
+
+    /**
+     * Resolve a battle between the armies of the currently controlled tokens
+     * The first token controlled is the attacker.
+     * @returns {Promise<Object|null>} The battle result
+     */
+    static async resolveFromTokens() {
+        const armies = (canvas.tokens?.controlled ?? [])
+            .map(token => token.actor)
+            .filter(actor => actor?.isArmyActor?.());
+
+        if (armies.length < 2) {
+            ui.notifications.warn('请至少选中两支军队的标记');
+            return null;
+        }
+
+        return this.resolve(armies);
+    }
+}
@@ -0,0 +1,214 @@
+/*
+ * Casualties - Applying the casualties of a battle or siege card to the armies, and undoing them
+ */
+
+import logger from '../utils/Logger.js';
+import { Relics } from '../campaign/Relics.js';
+
+export class Casualties {
+    /**
+     * Read the casualties suggested by a battle or siege chat card
+     * @param {ChatMessage} message - The chat card
+     * @returns {Array<{actorUuid: string, casualties: number}>} The casualties per army, empty if the message is no card
+     */
+    static getLosses(message) {
+        const battle = message.getFlag('battlefield-system', 'battle');
+        if (battle) return battle.sides.map(({ actorUuid, casualties }) => ({ actorUuid, casualties }));
+
+        const siege = message.getFlag('battlefield-system', 'siege');
+        if (siege) return [{ actorUuid: siege.attacker.actorUuid, casualties: siege.attacker.casualties }];
+
+        return [];
+    }
+
+    /**
+     * Reduce the size of every army on a card by its casualties
+     * Armies left with no size lose their tokens and are either deleted or kept with the destroyed
+     * status, depending on the "Destroyed Armies" setting. Deleted armies leave their relics to the
+     * winner of the battle, or lose them. What changed is stored on the message for undo.
+     * @param {ChatMessage} message - The battle or siege chat card
+     * @returns {Promise<Array<Object>>} The undo records {uuid, size, data, tokens, status, relics}
+     */
+    static async apply(message) {
+        try {
+            if (!game.user.isGM) {
+                throw new Error('Only a GM can apply casualties');
+            }
+            if (message.getFlag('battlefield-system', 'casualties')?.applied) {
+                throw new Error('这张卡片的伤亡已经应用过了');
+            }
+
+            const keepRecord = game.settings.get(game.system.id, 'destroyedArmies') === 'record';
+            const records = [];
+            for (const { actorUuid, casualties } of this.getLosses(message)) {
+                const army = fromUuidSync(actorUuid);
+                if (!army?.isArmyActor() || !casualties) continue;
+
+                const size = army._source.system.size ?? 0;
+                const remaining = Math.max(size - casualties, 0);
+                const record = { uuid: army.uuid, size, data: null, tokens: [], status: null, relics: [] };
+                records.push(record);
+
+                if (remaining > 0) {
+                    await army.update({ 'system.size': remaining });
+                    continue;
+                }
+
+                record.tokens = await this._removeTokens(army);
+                if (keepRecord) {
+                    const existing = new Set(army.items.keys());
+                    await army.update({ 'system.size': 0 });
+                    const status = await army.addStatus(CONFIG.BATTLEFIELD.battle.destroyedStatus);
+                    if (!existing.has(status.id)) record.status = status.id;
+                } else {
+                    record.data = army.toObject();
+                    record.relics = await this._releaseRelics(army, this._getVictor(message, army));
+                    await army.delete();
+                }
+            }
+
+            await message.setFlag('battlefield-system', 'casualties', { applied: true, records });
+            Hooks.callAll('battlefield-system.casualtiesApplied', message, records);
+
+            logger.debug(`Applied casualties from message ${message.id}`, records);
+            return records;
+        } catch (err) {
+            logger.error('Failed to apply casualties:', err);
+            ui.notifications.error(`无法应用伤亡: ${err.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Restore the armies of a card to the state before its casualties were applied
+     * @param {ChatMessage} message - The battle or siege chat card
+     * @returns {Promise<boolean>} Whether the casualties were undone
+     */
+    static async undo(message) {
+        try {
+            if (!game.user.isGM) {
+                throw new Error('Only a GM can undo casualties');
+            }
+
+            const state = message.getFlag('battlefield-system', 'casualties');
+            if (!state?.applied) {
+                throw new Error('这张卡片的伤亡尚未应用');
+            }
+
+            for (const record of state.records) {
+                // Relics go back with the restored army, so their moved copies are removed first
+                for (const uuid of record.relics ?? []) {
+                    const relic = fromUuidSync(uuid);
+                    if (relic) await relic.delete();
+                    else ui.notifications.warn(`遗物 ${uuid} 已不在原处，恢复的军队会保留它的副本`);
+                }
+
+                let army = fromUuidSync(record.uuid);
+                if (!army && record.data) {
+                    army = await Actor.implementation.create(record.data, { keepId: true });
+                }
+                if (!army) {
+                    ui.notifications.warn(`无法恢复已不存在的军队 ${record.uuid}`);
+                    continue;
+                }
+
+                await army.update({ 'system.size': record.size });
+                if (record.status) await army.items.get(record.status)?.delete();
+
+                for (const { sceneId, data } of record.tokens) {
+                    const scene = game.scenes.get(sceneId);
+                    if (scene && !scene.tokens.has(data._id)) {
+                        await scene.createEmbeddedDocuments('Token', [data], { keepId: true });
+                    }
+                }
+            }
+
+            await message.setFlag('battlefield-system', 'casualties', { applied: false, records: [] });
+            Hooks.callAll('battlefield-system.casualtiesUndone', message);
+
+            logger.debug(`Undid casualties from message ${message.id}`);
+            return true;
+        } catch (err) {
+            logger.error('Failed to undo casualties:', err);
+            ui.notifications.error(`无法撤销伤亡: ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Get the army that won the battle on a card, if it is not the given army
+     * Siege cards only carry the attacker's losses, so a destroyed attacker has no victor to take from.
+     * @param {ChatMessage} message - The battle or siege chat card
+     * @param {Actor} army - The destroyed army
+     * @returns {Actor|null} The victorious army
+     * @private
+     */
+    static _getVictor(message, army) {
+        const winner = message.getFlag('battlefield-system', 'battle')?.sides.find(side => side.isWinner);
+        const victor = winner ? fromUuidSync(winner.actorUuid) : null;
+        return victor?.isArmyActor() && victor !== army ? victor : null;
+    }
+
+    /**
+     * Hand the relics of a destroyed army to the victor, or lose them in the Items directory
+     * @param {Actor} army - The destroyed army
+     * @param {Actor|null} victor - The victorious army
+     * @returns {Promise<Array<string>>} UUIDs of the moved relics
+     * @private
+     */
+    static async _releaseRelics(army, victor) {
+        const moved = [];
+        for (const relic of Relics.getRelics(army)) {
+            const reason = victor ? `${victor.name} 歼灭 ${army.name} 时夺得` : undefined;
+            const result = await Relics.transfer(relic, victor, reason);
+            if (result) moved.push(result.uuid);
+        }
+        return moved;
+    }
+
+    /**
+     * Remove the tokens of an army from every scene
+     * @param {Actor} army - The army
+     * @returns {Promise<Array<{sceneId: string, data: Object}>>} The removed tokens
+     * @private
+     */
+    static async _removeTokens(army) {
+        const removed = [];
+        for (const scene of game.scenes) {
+            const tokens = scene.tokens.filter(token => token.actorId === army.id);
+            if (!tokens.length) continue;
+
+            removed.push(...tokens.map(token => ({ sceneId: scene.id, data: token.toObject() })));
+            await scene.deleteEmbeddedDocuments('Token', tokens.map(token => token.id));
+        }
+        return removed;
+    }
+
+    /**
+     * Add the apply and undo buttons to a rendered battle or siege card
+     * Only GMs see the buttons.
+     * @param {ChatMessage} message - The chat message
+     * @param {HTMLElement} html - The rendered message
+     */
+    static addControls(message, html) {
+        if (!game.user.isGM || !this.getLosses(message).length) return;
+
+        const card = html.querySelector('.battle-card');
+        if (!card) return;
+
+        const applied = message.getFlag('battlefield-system', 'casualties')?.applied;
+        const controls = document.createElement('div');
+        controls.className = 'casualty-controls';
+        controls.innerHTML = applied
+            ? '<span class="casualties-applied"><i class="fas fa-check"></i> 伤亡已应用</span><button type="button" data-action="undo-casualties"><i class="fas fa-undo"></i> 撤销</button>'
+            : '<button type="button" data-action="apply-casualties"><i class="fas fa-skull-crossbones"></i> 应用伤亡</button>';
+
+        controls.querySelector('button').addEventListener('click', async event => {
+            event.preventDefault();
+            event.currentTarget.disabled = true;
+            if (applied) await this.undo(message);
+            else await this.apply(message);
+        });
+        card.append(controls);
+    }
+}
@@ -0,0 +1,207 @@
+/*
+ * HeroInjuries - Post-battle injury rolls for the heroes that took part in a battle
+ */
+
+import logger from '../utils/Logger.js';
+import { CampaignClock } from '../campaign/CampaignClock.js';
+
+export class HeroInjuries {
+    /**
+     * Path of the injury report chat template
+     * @type {string}
+     */
+    static TEMPLATE = 'systems/battlefield-system/templates/chat/injury-report.hbs';
+
+    /**
+     * Labels of the injury outcomes
+     * @type {Object<string, string>}
+     */
+    static OUTCOMES = {
+        unharmed: '毫发无伤',
+        injured: '负伤',
+        outOfAction: '休养',
+        dead: '阵亡'
+    };
+
+    /**
+     * Get the configured injury RollTable
+     * @returns {Promise<RollTable|null>} The injury table, or null if none is configured
+     */
+    static async getTable() {
+        const uuid = game.settings.get(game.system.id, 'injuryTable');
+        if (!uuid) return null;
+        return fromUuid(uuid);
+    }
+
+    /**
+     * Create the default injury table from the system configuration if no table is configured
+     * Only the active GM creates it.
+     * @returns {Promise<RollTable|null>} The configured or newly created table
+     */
+    static async ensureDefaultTable() {
+        const table = await this.getTable();
+        if (table || !game.users.activeGM?.isSelf) return table;
+
+        const { tableName, formula, results } = CONFIG.BATTLEFIELD.injuries;
+        const created = await RollTable.implementation.create({
+            name: tableName,
+            formula,
+            replacement: true,
+            displayRoll: true,
+            results: results.map(({ range, name, description, outcome, turns }) => ({
+                type: CONST.TABLE_RESULT_TYPES.TEXT,
+                name,
+                description,
+                range,
+                weight: range[1] - range[0] + 1,
+                flags: {
+                    'battlefield-system': { outcome, turns: turns ?? null }
+                }
+            }))
+        });
+
+        await game.settings.set(game.system.id, 'injuryTable', created.uuid);
+        logger.log(`Created default hero injury table ${created.uuid}`);
+        return created;
+    }
+
+    /**
+     * Work out what a table result means for a hero
+     * Results created by the system carry their outcome in flags; for hand-written tables the
+     * text is read instead, so "阵亡"/"dead" kills the hero and "3 回合"/"3 turns" sidelines them.
+     * @param {TableResult} result - The drawn table result
+     * @returns {{outcome: string, turns: number|null}} The outcome and number of turns out of action
+     */
+    static parseOutcome(result) {
+        const flags = result.flags['battlefield-system'];
+        if (flags?.outcome) {
+            return { outcome: flags.outcome, turns: flags.turns ?? null };
+        }
+
+        const text = `${result.name ?? ''} ${result.description ?? ''}`;
+        if (/阵亡|死亡|\bdead\b|\bkilled\b/i.test(text)) {
+            return { outcome: 'dead', turns: null };
+        }
+
+        const turns = text.match(/(\d+)\s*(?:个)?\s*(?:回合|turns?)/i);
+        if (turns) {
+            return { outcome: 'outOfAction', turns: parseInt(turns[1]) };
+        }
+
+        return { outcome: 'injured', turns: null };
+    }
+
+    /**
+     * Roll a hero on the injury table and record the result on the hero
+     * @param {Item} hero - The hero Item
+     * @param {RollTable} table - The injury table
+     * @returns {Promise<Object|null>} The injury entry for the report, or null if nothing was drawn
+     */
+    static async rollForHero(hero, table) {
+        const { roll, results } = await table.roll();
+        const result = results[0];
+        if (!result) return null;
+
+        const { outcome, turns } = this.parseOutcome(result);
+        const turn = CampaignClock.turn;
+        const name = result.name || result.description || '';
+
+        const updates = {};
+        if (outcome !== 'unharmed') {
+            const injuries = hero.system.toObject().injuries;
+            injuries.push({ description: name, turn });
+            updates['system.injuries'] = injuries;
+        }
+        if (outcome === 'dead') {
+            updates['system.isDead'] = true;
+        } else if (outcome === 'outOfAction' && turns) {
+            updates['system.recoveryTurn'] = turn + turns;
+        }
+        if (Object.keys(updates).length) {
+            await hero.update(updates);
+        }
+
+        return {
+            uuid: hero.uuid,
+            name: hero.name,
+            img: hero.img,
+            army: hero.actor?.name || '',
+            total: roll.total,
+            result: name,
+            description: result.name ? result.description : '',
+            outcome,
+            outcomeLabel: this.OUTCOMES[outcome] ?? outcome,
+            turns,
+            rolls: [roll]
+        };
+    }
+
+    /**
+     * Roll injuries for every hero listed in a battle or siege result and post a report
+     * @param {Array<Object>} heroes - Hero references {uuid} of the heroes that fought
+     * @returns {Promise<Array<Object>>} The injury entries
+     */
+    static async rollForHeroes(heroes) {
+        try {
+            const table = await this.getTable();
+            if (!table) {
+                throw new Error('No hero injury table is configured');
+            }
+
+            const entries = [];
+            for (const { uuid } of heroes) {
+                const hero = await fromUuid(uuid);
+                if (!hero?.system.isAvailable) continue;
+
+                const entry = await this.rollForHero(hero, table);
+                if (entry) entries.push(entry);
+            }
+
+            if (entries.length) {
+                await this._postInjuryReport(entries);
+                Hooks.callAll('battlefield-system.heroInjuriesRolled', entries);
+            }
+
+            logger.debug(`Rolled injuries for ${entries.length} heroes`, entries);
+            return entries;
+        } catch (err) {
+            logger.error('Failed to roll hero injuries:', err);
+            ui.notifications.error(`英雄伤势掷骰失败: ${err.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Roll injuries for the heroes that took part in a resolved battle or siege
+     * @param {Object} result - The battle or siege result stored on the chat card
+     * @returns {Promise<Array<Object>>} The injury entries
+     */
+    static async rollForBattle(result) {
+        const sides = result.type === 'siege' ? [result.attacker] : result.sides;
+        const heroes = sides.flatMap(side => side.heroes ?? []);
+        if (!heroes.length) return [];
+        return this.rollForHeroes(heroes);
+    }
+
+    /**
+     * Render the injury report chat card
+     * @param {Array<Object>} entries - The injury entries
+     * @returns {Promise<ChatMessage>} The created chat message
+     * @private
+     */
+    static async _postInjuryReport(entries) {
+        const content = await renderTemplate(this.TEMPLATE, { entries });
+
+        return ChatMessage.create({
+            speaker: ChatMessage.getSpeaker(),
+            content,
+            rolls: entries.flatMap(entry => entry.rolls),
+            sound: CONFIG.sounds.dice,
+            flags: {
+                'battlefield-system': {
+                    injuries: entries.map(({ rolls, ...entry }) => entry)
+                }
+            }
+        });
+    }
+}
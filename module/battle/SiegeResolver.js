@@ -0,0 +1,198 @@
+/*
+ * SiegeResolver - Resolves assaults by an army against a structure
+ */
+
+import logger from '../utils/Logger.js';
+import { BattleResolver } from './BattleResolver.js';
+
+export class SiegeResolver {
+    /**
+     * Path of the chat card template
+     * @type {string}
+     */
+    static TEMPLATE = 'systems/battlefield-system/templates/chat/siege-card.hbs';
+
+    /**
+     * Build the roll data used for a structure's defense roll
+     * @param {Actor} structure - The structure actor
+     * @returns {Object} Roll data for the defender formula
+     */
+    static getDefenseRollData(structure) {
+        return {
+            ...structure.getRollData(),
+            defenseValue: structure.system.defenseValue || 0,
+            garrisonBonus: structure.system.garrisonDefense
+        };
+    }
+
+    /**
+     * Resolve an assault of an army against a structure and post the result to chat
+     * @param {Actor} army - The attacking army
+     * @param {Actor} structure - The defending structure
+     * @returns {Promise<Object|null>} The siege result, or null if it could not be resolved
+     */
+    static async resolve(army, structure) {
+        try {
+            if (!army?.isArmyActor?.()) {
+                throw new Error('The attacker must be an army');
+            }
+            if (!structure?.isStructureActor?.()) {
+                throw new Error('The target must be a structure');
+            }
+            const faction = army.getFaction();
+            if (faction && faction === structure.getFaction()) {
+                throw new Error(`${structure.name} 已属于 ${faction.name}`);
+            }
+
+            const config = CONFIG.BATTLEFIELD.siege;
+            const attackerData = BattleResolver.getBattleRollData(army);
+            const defenderData = this.getDefenseRollData(structure);
+            const attackerRoll = await new Roll(config.attackerFormula, attackerData).evaluate();
+            const defenderRoll = await new Roll(config.defenderFormula, defenderData).evaluate();
+
+            const success = attackerRoll.total > defenderRoll.total;
+            const size = army.system.size || 0;
+            const casualtyRate = success ? config.attackerCasualtiesOnSuccess : config.attackerCasualtiesOnFailure;
+
+            const result = {
+                type: 'siege',
+                success,
+                margin: attackerRoll.total - defenderRoll.total,
+                captured: false,
+                repulsed: false,
+                previousOwner: structure.system.ownerFaction || '',
+                attacker: {
+                    actorUuid: army.uuid,
+                    name: army.name,
+                    img: army.img,
+                    faction: faction?.name || '',
+                    factionUuid: faction?.uuid || '',
+                    formula: attackerRoll.formula,
+                    total: attackerRoll.total,
+                    sizeBefore: size,
+                    casualties: Math.min(size, Math.round(size * casualtyRate)),
+                    heroes: BattleResolver.getHeroReferences(army)
+                },
+                defender: {
+                    actorUuid: structure.uuid,
+                    name: structure.name,
+                    img: structure.img,
+                    formula: defenderRoll.formula,
+                    total: defenderRoll.total,
+                    isCapturable: structure.system.isCapturable
+                }
+            };
+
+            // The active GM hands the structure over once the card is posted
+            if (success) {
+                result.captured = !!faction && structure.system.isCapturable;
+            } else if (game.settings.get(game.system.id, 'applyRepulsedStatus')) {
+                await army.addStatus(config.repulsedStatus);
+                result.repulsed = true;
+            }
+
+            const message = await this._postSiegeCard(result, [attackerRoll, defenderRoll]);
+            Hooks.callAll('battlefield-system.siegeResolved', result, message);
+
+            logger.debug(`Resolved siege of ${structure.name} by ${army.name}`, result);
+            return result;
+        } catch (err) {
+            logger.error('Failed to resolve siege:', err);
+            ui.notifications.error(`攻城结算失败: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Transfer a captured structure to the attacking army's faction
+     * Called by the active GM for every siege card, since the attacker rarely owns the structure.
+     * @param {Object} result - The siege result from the chat card flags
+     * @returns {Promise<boolean>} Whether the structure changed hands
+     */
+    static async captureFromSiege(result) {
+        if (!result.captured || !result.attacker.factionUuid) return false;
+
+        const structure = fromUuidSync(result.defender.actorUuid);
+        if (!structure || structure.system.ownerFaction === result.attacker.factionUuid) return false;
+
+        await structure.update({ 'system.ownerFaction': result.attacker.factionUuid });
+        logger.debug(`Structure ${structure.name} captured by ${result.attacker.faction}`);
+        return true;
+    }
+
+    /**
+     * Render the siege result chat card
+     * @param {Object} result - The siege result
+     * @param {Array<Roll>} rolls - The evaluated rolls
+     * @returns {Promise<ChatMessage>} The created chat message
+     * @private
+     */
+    static async _postSiegeCard(result, rolls) {
+        const content = await renderTemplate(this.TEMPLATE, {
+            ...result,
+            repulsedStatus: CONFIG.BATTLEFIELD.siege.repulsedStatus
+        });
+
+        return ChatMessage.create({
+            speaker: ChatMessage.getSpeaker(),
+            content,
+            rolls,
+            sound: CONFIG.sounds.dice,
+            flags: {
+                'battlefield-system': {
+                    siege: result
+                }
+            }
+        });
+    }
+
+    /**
+     * Ask the user to pick a structure for an army to assault, then resolve the siege
+     * @param {Actor} army - The attacking army
+     * @returns {Promise<Object|null>} The siege result
+     */
+    static async promptTarget(army) {
+        const candidates = game.actors.filter(actor => actor.isStructureActor());
+        if (!candidates.length) {
+            ui.notifications.warn('没有可以攻打的建筑');
+            return null;
+        }
+
+        const options = candidates.map(structure => `
+            <option value="${structure.id}">${structure.name}（防御 ${structure.system.defenseValue ?? 0}）</option>`).join('');
+
+        const selected = await foundry.applications.api.DialogV2.prompt({
+            window: { title: `${army.name} - 选择攻城目标` },
+            content: `<div class="form-group"><label>目标建筑:</label><select name="structure">${options}</select></div>`,
+            ok: {
+                label: '攻城',
+                icon: 'fas fa-chess-rook',
+                callback: (event, button) => button.form.elements.structure.value
+            },
+            rejectClose: false
+        });
+
+        if (!selected) return null;
+        return this.resolve(army, game.actors.get(selected));
+    }
+
+    /**
+     * Resolve a siege by the controlled army token against the targeted structure token
+     * @returns {Promise<Object|null>} The siege result
+     */
+    static async resolveFromTokens() {
+        const army = (canvas.tokens?.controlled ?? [])
+            .map(token => token.actor)
+            .find(actor => actor?.isArmyActor?.());
+        const structure = Array.from(game.user.targets)
+            .map(token => token.actor)
+            .find(actor => actor?.isStructureActor?.());
+
+        if (!army || !structure) {
+            ui.notifications.warn('请选中一支军队并将一座建筑设为目标');
+            return null;
+        }
+
+        return this.resolve(army, structure);
+    }
+}
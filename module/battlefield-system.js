@@ -4,10 +4,36 @@
  */
 
 import BattlefieldActor from './documents/BattlefieldActor.js';
+import BattlefieldCombat from './documents/BattlefieldCombat.js';
+import BattlefieldCombatant from './documents/BattlefieldCombatant.js';
 import { ArmySheet } from './sheets/ArmySheet.js';
 import { StructureSheet } from './sheets/StructureSheet.js';
 import { FactionSheet } from './sheets/FactionSheet.js';
-import { ArmyDataModel, StructureDataModel, FactionDataModel, StatusDataModel } from './documents/dataModels.js';
+import { HeroSheet } from './sheets/HeroSheet.js';
+import { EquipmentSheet } from './sheets/EquipmentSheet.js';
+import { RelicSheet } from './sheets/RelicSheet.js';
+import { ArmyDataModel, StructureDataModel, FactionDataModel, StatusDataModel, HeroDataModel, EquipmentDataModel, RelicDataModel } from './documents/dataModels.js';
+import { BattleResolver } from './battle/BattleResolver.js';
+import { SiegeResolver } from './battle/SiegeResolver.js';
+import { HeroInjuries } from './battle/HeroInjuries.js';
+import { Casualties } from './battle/Casualties.js';
+import { CampaignClock } from './campaign/CampaignClock.js';
+import { CampaignClockApp } from './apps/CampaignClockApp.js';
+import { Economy } from './campaign/Economy.js';
+import { Diplomacy } from './campaign/Diplomacy.js';
+import { DiplomacyApp } from './apps/DiplomacyApp.js';
+import { Relics } from './campaign/Relics.js';
+import { CampaignEvents } from './campaign/CampaignEvents.js';
+import { MapGraph } from './campaign/MapGraph.js';
+import { ZoneOfControl } from './campaign/ZoneOfControl.js';
+import { ArmyOrganization } from './campaign/ArmyOrganization.js';
+import { Recruitment } from './campaign/Recruitment.js';
+import { Mercenaries } from './campaign/Mercenaries.js';
+import { BATTLEFIELD } from './config.js';
+import { registerSettings } from './settings.js';
+import { migrateWorld } from './migration.js';
+import { ensureCommonEquipmentPack } from './compendium.js';
+import BattlefieldUtils from '../lib/utils.js';
 import logger from './utils/Logger.js';
 
 /* -------------------------------------------- */
@@ -15,32 +41,50 @@ import logger from './utils/Logger.js';
 /* -------------------------------------------- */
 Hooks.once('init', async function() {
     try {
+        // Expose the system configuration and public API
+        CONFIG.BATTLEFIELD = BATTLEFIELD;
+        game.battlefield = {
+            BattleResolver,
+            SiegeResolver,
+            HeroInjuries,
+            Casualties,
+            CampaignClock,
+            CampaignClockApp,
+            Economy,
+            Diplomacy,
+            DiplomacyApp,
+            Relics,
+            CampaignEvents,
+            MapGraph,
+            ZoneOfControl,
+            ArmyOrganization,
+            Recruitment,
+            Mercenaries
+        };
+
+        // Let other clients ask a defending user whether to intercept
+        CONFIG.queries[ZoneOfControl.QUERY] = data => ZoneOfControl.handleQuery(data);
+
         // Define custom Document classes
         CONFIG.Actor.documentClass = BattlefieldActor;
+        CONFIG.Combat.documentClass = BattlefieldCombat;
+        CONFIG.Combatant.documentClass = BattlefieldCombatant;
         CONFIG.Actor.dataModels.army = ArmyDataModel;
         CONFIG.Actor.dataModels.structure = StructureDataModel;
         CONFIG.Actor.dataModels.faction = FactionDataModel;
         
         // Define custom Item data models
         CONFIG.Item.dataModels.status = StatusDataModel;
+        CONFIG.Item.dataModels.hero = HeroDataModel;
+        CONFIG.Item.dataModels.magicItem = EquipmentDataModel;
+        CONFIG.Item.dataModels.mount = EquipmentDataModel;
+        CONFIG.Item.dataModels.relic = RelicDataModel;
+
+        // Register the preset statuses as the system's token conditions
+        CONFIG.statusEffects = BattlefieldUtils.getTokenConditions();
 
         // Register system settings
-        game.settings.register(game.system.id, 'loggingLevel', {
-            name: 'battlefield-system.Settings.LoggingLevel.Name',
-            hint: 'battlefield-system.Settings.LoggingLevel.Hint',
-            scope: 'client',
-            config: true,
-            default: 'LOG',
-            type: String,
-            choices: {
-                NONE: 'battlefield-system.Settings.LoggingLevel.Choices.NONE',
-                ERROR: 'battlefield-system.Settings.LoggingLevel.Choices.ERROR',
-                WARN: 'battlefield-system.Settings.LoggingLevel.Choices.WARN',
-                INFO: 'battlefield-system.Settings.LoggingLevel.Choices.INFO',
-                LOG: 'battlefield-system.Settings.LoggingLevel.Choices.LOG',
-                DEBUG: 'battlefield-system.Settings.LoggingLevel.Choices.DEBUG'
-            }
-        });
+        registerSettings();
 
         // Register sheet application classes
         Actors.unregisterSheet('core', ActorSheet);
@@ -59,6 +103,21 @@ Hooks.once('init', async function() {
             types: ['faction'],
             label: 'battlefield-system.Sheet.Faction.Name'
         });
+        Items.registerSheet(game.system.id, HeroSheet, {
+            makeDefault: true,
+            types: ['hero'],
+            label: 'battlefield-system.Sheet.Hero.Name'
+        });
+        Items.registerSheet(game.system.id, EquipmentSheet, {
+            makeDefault: true,
+            types: ['magicItem', 'mount'],
+            label: 'battlefield-system.Sheet.Equipment.Name'
+        });
+        Items.registerSheet(game.system.id, RelicSheet, {
+            makeDefault: true,
+            types: ['relic'],
+            label: 'battlefield-system.Sheet.Relic.Name'
+        });
 
         // Helper functions for handlebars
         Handlebars.registerHelper('eq', (a, b) => a == b);
@@ -68,7 +127,24 @@ Hooks.once('init', async function() {
         await loadTemplates([
             'systems/battlefield-system/templates/actor/army-sheet.hbs',
             'systems/battlefield-system/templates/actor/structure-sheet.hbs',
-            'systems/battlefield-system/templates/actor/faction-sheet.hbs'
+            'systems/battlefield-system/templates/actor/faction-sheet.hbs',
+            'systems/battlefield-system/templates/actor/parts/status-list.hbs',
+            'systems/battlefield-system/templates/actor/parts/faction-field.hbs',
+            'systems/battlefield-system/templates/actor/parts/equipment-list.hbs',
+            'systems/battlefield-system/templates/actor/parts/relic-list.hbs',
+            'systems/battlefield-system/templates/actor/parts/event-list.hbs',
+            'systems/battlefield-system/templates/item/hero-sheet.hbs',
+            'systems/battlefield-system/templates/item/equipment-sheet.hbs',
+            'systems/battlefield-system/templates/item/relic-sheet.hbs',
+            'systems/battlefield-system/templates/chat/battle-card.hbs',
+            'systems/battlefield-system/templates/chat/siege-card.hbs',
+            'systems/battlefield-system/templates/chat/injury-report.hbs',
+            'systems/battlefield-system/templates/chat/relic-report.hbs',
+            'systems/battlefield-system/templates/chat/event-card.hbs',
+            'systems/battlefield-system/templates/chat/income-report.hbs',
+            'systems/battlefield-system/templates/chat/upkeep-report.hbs',
+            'systems/battlefield-system/templates/apps/campaign-clock.hbs',
+            'systems/battlefield-system/templates/apps/diplomacy-matrix.hbs'
         ]);
 
         logger.log('Initialized successfully!');
@@ -78,11 +154,301 @@ Hooks.once('init', async function() {
     }
 });
 
+/* -------------------------------------------- */
+/*  Status Durations                            */
+/* -------------------------------------------- */
+
+/**
+ * Count down the statuses of every actor, including unlinked token actors, carrying on past actors that fail
+ * @param {string} unit - The duration unit to count down: 'turns' or 'seconds'
+ * @param {number} [amount=1] - How much to count down by
+ */
+async function tickAllStatusDurations(unit, amount = 1) {
+    for (const actor of BattlefieldActor.getAllActors()) {
+        try {
+            await actor.tickStatusDurations(unit, amount);
+        } catch (err) {
+            logger.error(`Failed to count down the statuses of ${actor.name}:`, err);
+        }
+    }
+}
+
+/* -------------------------------------------- */
+/*  Campaign Turn                               */
+/* -------------------------------------------- */
+
+/**
+ * Run one step of the campaign turn, so a failing step does not stop the steps after it
+ * @param {string} name - Name of the step, for the log
+ * @param {Function} step - The step to await
+ */
+async function runTurnStep(name, step) {
+    try {
+        await step();
+    } catch (err) {
+        logger.error(`Campaign turn step "${name}" failed:`, err);
+    }
+}
+
+Hooks.on(CampaignClock.HOOK, async current => {
+    // Statuses count down first, so statuses gained during this turn's processing keep their full duration
+    await runTurnStep('status durations', () => tickAllStatusDurations('turns'));
+    // Contracts end before upkeep so armies returning home are paid for by their own faction
+    await runTurnStep('mercenary contracts', () => Mercenaries.processContracts(current.turn));
+    if (game.settings.get(game.system.id, 'autoCollectIncome')) {
+        await runTurnStep('income', () => Economy.collectIncome());
+    }
+    if (game.settings.get(game.system.id, 'autoPayUpkeep')) {
+        await runTurnStep('upkeep', () => Economy.payUpkeep());
+    }
+    await runTurnStep('movement', () => MapGraph.resetMovement());
+    await runTurnStep('treaties', () => Diplomacy.expireTreaties(current.turn));
+    await runTurnStep('event expiry', () => CampaignEvents.expire(current.turn));
+    if (game.settings.get(game.system.id, 'drawEventEachTurn')) {
+        await runTurnStep('event draw', () => CampaignEvents.draw());
+    }
+});
+
+Hooks.on('updateActor', (actor, changed) => {
+    // Keep the event log in the clock window current
+    if (foundry.utils.hasProperty(changed, 'system.activeEvents')) CampaignClockApp.refresh();
+});
+
+Hooks.on('updateWorldTime', async (worldTime, delta) => {
+    if (!game.users.activeGM?.isSelf || delta <= 0) return;
+
+    await tickAllStatusDurations('seconds', delta);
+});
+
+/* -------------------------------------------- */
+/*  Casualties                                  */
+/* -------------------------------------------- */
+Hooks.on('renderChatMessageHTML', (message, html) => {
+    Casualties.addControls(message, html);
+});
+
+/* -------------------------------------------- */
+/*  Sieges                                      */
+/* -------------------------------------------- */
+Hooks.on('createChatMessage', async message => {
+    // The active GM hands captured structures over, whoever resolved the siege
+    if (!game.users.activeGM?.isSelf) return;
+
+    const siege = message.getFlag('battlefield-system', 'siege');
+    if (siege) await SiegeResolver.captureFromSiege(siege);
+});
+
+/* -------------------------------------------- */
+/*  Hero Injuries                               */
+/* -------------------------------------------- */
+Hooks.on('createChatMessage', async message => {
+    // The active GM rolls injuries for every hero that fought, whoever resolved the battle
+    if (!game.users.activeGM?.isSelf || !game.settings.get(game.system.id, 'rollHeroInjuries')) return;
+
+    const result = message.getFlag('battlefield-system', 'battle') ?? message.getFlag('battlefield-system', 'siege');
+    if (result) await HeroInjuries.rollForBattle(result);
+});
+
+/* -------------------------------------------- */
+/*  Faction Membership                          */
+/* -------------------------------------------- */
+
+/**
+ * Re-prepare factions, whose derived data depends on the armies and structures that belong to them
+ */
+function refreshFactions() {
+    for (const faction of game.actors.filter(actor => actor.isFactionActor())) {
+        faction.reset();
+        if (faction.sheet?.rendered) faction.sheet.render(false);
+    }
+}
+
+Hooks.on('createActor', actor => {
+    if (actor.isArmyActor() || actor.isStructureActor()) refreshFactions();
+});
+Hooks.on('updateActor', actor => {
+    if (actor.isArmyActor() || actor.isStructureActor()) refreshFactions();
+});
+Hooks.on('deleteActor', actor => {
+    if (actor.isArmyActor() || actor.isStructureActor()) refreshFactions();
+});
+Hooks.on('createItem', item => {
+    if (item.type === 'relic' && item.parent) refreshFactions();
+});
+Hooks.on('deleteItem', item => {
+    if (item.type === 'relic' && item.parent) refreshFactions();
+});
+
+/* -------------------------------------------- */
+/*  Relics                                      */
+/* -------------------------------------------- */
+
+/**
+ * Check for a relic victory once a burst of relic and ownership changes has settled
+ * Only the active GM checks, so the victory is announced once.
+ */
+const checkRelicVictory = foundry.utils.debounce(() => {
+    if (game.users.activeGM?.isSelf) Relics.checkVictory();
+}, 250);
+
+Hooks.on('createItem', item => {
+    if (item.type === 'relic') checkRelicVictory();
+});
+Hooks.on('deleteItem', item => {
+    if (item.type === 'relic') checkRelicVictory();
+});
+Hooks.on('updateActor', actor => {
+    if (actor.isArmyActor() || actor.isStructureActor()) checkRelicVictory();
+});
+Hooks.on('createChatMessage', async message => {
+    // The active GM moves the relics of fallen armies and structures to their conquerors
+    if (!game.users.activeGM?.isSelf) return;
+
+    const battle = message.getFlag('battlefield-system', 'battle');
+    if (battle) await Relics.captureFromBattle(battle);
+
+    const siege = message.getFlag('battlefield-system', 'siege');
+    if (siege) await Relics.captureFromSiege(siege);
+});
+
+/* -------------------------------------------- */
+/*  Diplomacy                                   */
+/* -------------------------------------------- */
+Hooks.on('createActor', actor => {
+    if (actor.isFactionActor()) DiplomacyApp.refresh();
+});
+Hooks.on('updateActor', async (actor, changed, options, userId) => {
+    if (!actor.isFactionActor()) return;
+
+    // Players can only edit their own faction, so the active GM mirrors their changes onto the others
+    if (foundry.utils.hasProperty(changed, 'system.relations') && game.users.activeGM?.isSelf && userId !== game.user.id) {
+        await Diplomacy.syncRelations(actor);
+    }
+    DiplomacyApp.refresh();
+});
+Hooks.on('deleteActor', actor => {
+    if (actor.isFactionActor()) DiplomacyApp.refresh();
+});
+Hooks.on('createChatMessage', async message => {
+    // The active GM checks every battle and siege for attacks on treaty partners
+    if (!game.users.activeGM?.isSelf) return;
+
+    const result = message.getFlag('battlefield-system', 'battle') ?? message.getFlag('battlefield-system', 'siege');
+    if (result) await Diplomacy.checkBattleBreaches(result);
+});
+
+/* -------------------------------------------- */
+/*  Zone of Control                             */
+/* -------------------------------------------- */
+Hooks.on('battlefield-system.armyMoved', async (army, structures, controllers) => {
+    // The client that ordered the march asks the defenders whether they intercept
+    if (controllers.length) await ZoneOfControl.offerInterception(army, structures.at(-1), controllers);
+});
+
+/* -------------------------------------------- */
+/*  Combat Tracker                              */
+/* -------------------------------------------- */
+Hooks.on('renderCombatTracker', (app, html) => {
+    // Show the size or defense and the active statuses under each army and structure
+    for (const row of html.querySelectorAll('.combatant[data-combatant-id]')) {
+        const summary = app.viewed?.combatants.get(row.dataset.combatantId)?.getTrackerSummary?.();
+        const name = row.querySelector('.token-name');
+        if (!summary || !name) continue;
+
+        const line = document.createElement('span');
+        line.className = 'battlefield-combatant-summary';
+        line.textContent = summary;
+        name.append(line);
+    }
+});
+
+/* -------------------------------------------- */
+/*  Token HUD                                   */
+/* -------------------------------------------- */
+Hooks.on('renderTokenHUD', (hud, html) => {
+    // Conditions live on status Items rather than on the actor's own effects, so mark them ourselves
+    const statuses = hud.actor?.statuses;
+    if (!statuses) return;
+
+    for (const control of html.querySelectorAll('.status-effects [data-status-id]')) {
+        control.classList.toggle('active', statuses.has(control.dataset.statusId));
+    }
+});
+
+/* -------------------------------------------- */
+/*  Scene Controls                              */
+/* -------------------------------------------- */
+Hooks.on('getSceneControlButtons', controls => {
+    const tools = controls.tokens?.tools;
+    if (!tools) return;
+
+    tools.battlefieldBattle = {
+        name: 'battlefieldBattle',
+        title: '结算选中军队之间的战斗',
+        icon: 'fas fa-swords',
+        order: Object.keys(tools).length,
+        button: true,
+        onChange: () => BattleResolver.resolveFromTokens()
+    };
+
+    tools.battlefieldSiege = {
+        name: 'battlefieldSiege',
+        title: '选中的军队攻打目标建筑',
+        icon: 'fas fa-chess-rook',
+        order: Object.keys(tools).length,
+        button: true,
+        onChange: () => SiegeResolver.resolveFromTokens()
+    };
+
+    tools.battlefieldMarch = {
+        name: 'battlefieldMarch',
+        title: '选中的军队行军至目标建筑',
+        icon: 'fas fa-route',
+        order: Object.keys(tools).length,
+        button: true,
+        onChange: () => MapGraph.moveFromTokens()
+    };
+
+    tools.battlefieldCampaignClock = {
+        name: 'battlefieldCampaignClock',
+        title: '战役时钟',
+        icon: 'fas fa-hourglass-half',
+        order: Object.keys(tools).length,
+        button: true,
+        onChange: () => CampaignClockApp.show()
+    };
+
+    tools.battlefieldDiplomacy = {
+        name: 'battlefieldDiplomacy',
+        title: '外交矩阵',
+        icon: 'fas fa-handshake',
+        order: Object.keys(tools).length,
+        button: true,
+        onChange: () => DiplomacyApp.show()
+    };
+});
+
 /* -------------------------------------------- */
 /*  Ready Hook                                  */
 /* -------------------------------------------- */
 Hooks.once('ready', async function() {
     // Initialize the logger
     logger.initialize();
+    
+    // Factions are prepared before all of their members have loaded
+    refreshFactions();
+    
+    // Bring older world data up to date
+    await migrateWorld();
+    
+    // Create the default hero injury table the first time the system runs in a world
+    await HeroInjuries.ensureDefaultTable();
+    
+    // Create the default campaign event deck the same way
+    await CampaignEvents.ensureDefaultTable();
+    
+    // Create the compendium of common magic items and mounts
+    await ensureCommonEquipmentPack();
+    
     logger.log('Ready!');
 });
\ No newline at end of file
@@ -0,0 +1,345 @@
+/*
+ * ArmyOrganization - Splitting an army into two and merging armies together
+ */
+
+import logger from '../utils/Logger.js';
+import { MapGraph } from './MapGraph.js';
+
+export class ArmyOrganization {
+    /**
+     * Labels of the Item types an army carries between organizations
+     * Magic items and mounts follow the hero carrying them.
+     * @type {Object<string, string>}
+     */
+    static ITEM_TYPES = {
+        hero: '英雄',
+        status: '状态',
+        relic: '遗物',
+        magicItem: '魔法物品',
+        mount: '坐骑'
+    };
+
+    /**
+     * Get the Items of an army that can be assigned on their own
+     * @param {Actor} army - The army
+     * @returns {Array<Item>} The Items, without equipment carried by a hero
+     */
+    static getAssignableItems(army) {
+        return army.items.filter(item => item.type in this.ITEM_TYPES && !item.system.heroItem);
+    }
+
+    /**
+     * Get the Items that move together with an Item: a hero brings the equipment it carries
+     * @param {Item} item - The Item
+     * @returns {Array<Item>} The Item and its equipment
+     */
+    static withEquipment(item) {
+        if (item.type !== 'hero') return [item];
+        return [item, ...item.parent.items.filter(other => other.system.heroItem === item)];
+    }
+
+    /**
+     * Copy Items onto an army, keeping the hero references of their equipment
+     * IDs already used on the receiving army are replaced.
+     * @param {Array<Item>} items - The Items to copy
+     * @param {Actor} target - The receiving army
+     * @returns {Promise<Array<Item>>} The created Items
+     * @private
+     */
+    static async _copyItems(items, target) {
+        if (!items.length) return [];
+
+        const ids = new Map();
+        const data = items.map(item => {
+            const copy = item.toObject();
+            if (target.items.has(copy._id)) {
+                ids.set(copy._id, foundry.utils.randomID());
+                copy._id = ids.get(copy._id);
+            }
+            return copy;
+        });
+        for (const copy of data) {
+            if (ids.has(copy.system.hero)) copy.system.hero = ids.get(copy.system.hero);
+        }
+
+        return target.createEmbeddedDocuments('Item', data, { keepId: true });
+    }
+
+    /**
+     * Split part of an army off into a new army
+     * @param {Actor} army - The army being split
+     * @param {Object} options
+     * @param {string} options.name - Name of the new army
+     * @param {number} options.size - Size moved to the new army
+     * @param {Array<string>} [options.items] - IDs of the Items moved to the new army
+     * @param {Array<string>} [options.sharedItems] - IDs of the Items copied to both armies
+     * @param {Array<number>} [options.legions] - Indices of the legendary legions moved to the new army
+     * @returns {Promise<Actor|null>} The new army, or null if the army could not be split
+     */
+    static async split(army, { name, size, items = [], sharedItems = [], legions = [] }) {
+        try {
+            const total = army._source.system.size || 0;
+            if (!Number.isInteger(size) || size < 1 || size >= total) {
+                throw new Error(`分出的规模须在 1 到 ${total - 1} 之间`);
+            }
+
+            const moved = items.map(id => army.items.get(id)).filter(Boolean).flatMap(item => this.withEquipment(item));
+            const shared = sharedItems.map(id => army.items.get(id)).filter(item => item?.type === 'status');
+            const allLegions = army.system.toObject().legendaryLegions;
+
+            const data = army.toObject();
+            delete data._id;
+            data.name = name || `${army.name}（分队）`;
+            data.items = [];
+            data.prototypeToken.name = data.name;
+            Object.assign(data.system, {
+                name: data.name,
+                size,
+                legendaryLegions: allLegions.filter((legion, index) => legions.includes(index)),
+                activeEvents: [],
+                // Splitting must not double the movement left, and a contract only covers the army that was hired
+                movesLeft: 0,
+                contract: { ...data.system.contract, employer: '', autoRenew: false }
+            });
+            const detachment = await Actor.implementation.create(data);
+            await this._copyItems([...moved, ...shared], detachment);
+
+            await army.update({
+                'system.size': total - size,
+                'system.legendaryLegions': allLegions.filter((legion, index) => !legions.includes(index))
+            });
+            if (moved.length) await army.deleteEmbeddedDocuments('Item', moved.map(item => item.id));
+
+            await this._placeToken(army, detachment);
+
+            const carried = [...moved, ...shared].map(item => item.name);
+            const legionNames = allLegions.filter((legion, index) => legions.includes(index)).map(legion => legion.name);
+            await this._postReport('分兵', `${army.name} 分出 ${detachment.name}（规模 ${size}），本部余下 ${total - size}`,
+                [...carried, ...legionNames]);
+
+            Hooks.callAll('battlefield-system.armySplit', army, detachment);
+            logger.debug(`Split ${detachment.name} off ${army.name}`);
+            return detachment;
+        } catch (err) {
+            logger.error(`Failed to split army ${army?.name}:`, err);
+            ui.notifications.error(`无法分兵: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Merge an army into another, which takes its size, legions and Items; the merged army is deleted
+     * @param {Actor} army - The army being merged
+     * @param {Actor} target - The army it joins
+     * @param {Object} [options]
+     * @param {Array<string>} [options.droppedItems] - IDs of status Items left behind
+     * @returns {Promise<Actor|null>} The receiving army, or null if the armies could not be merged
+     */
+    static async merge(army, target, { droppedItems = [] } = {}) {
+        try {
+            if (!target?.isArmyActor() || target === army) {
+                throw new Error('An army can only merge into another army');
+            }
+            if (army.getFaction() !== target.getFaction()) {
+                throw new Error(`${army.name} 与 ${target.name} 不属于同一势力`);
+            }
+
+            // Statuses the receiving army already has are not doubled
+            const statuses = new Set(target.items.filter(item => item.type === 'status').map(item => item.name));
+            const carried = this.getAssignableItems(army)
+                .filter(item => !droppedItems.includes(item.id))
+                .filter(item => item.type !== 'status' || !statuses.has(item.name))
+                .flatMap(item => this.withEquipment(item));
+            await this._copyItems(carried, target);
+
+            const legions = army.system.toObject().legendaryLegions;
+            const size = army._source.system.size || 0;
+            await target.update({
+                'system.size': (target._source.system.size || 0) + size,
+                'system.legendaryLegions': [...target.system.toObject().legendaryLegions, ...legions]
+            });
+
+            const name = army.name;
+            await this._deleteTokens(army);
+            await army.delete();
+
+            await this._postReport('合兵', `${name}（规模 ${size}）并入 ${target.name}，现有规模 ${target.system.size}`,
+                [...carried.map(item => item.name), ...legions.map(legion => legion.name)]);
+
+            Hooks.callAll('battlefield-system.armiesMerged', target, name);
+            logger.debug(`Merged ${name} into ${target.name}`);
+            return target;
+        } catch (err) {
+            logger.error(`Failed to merge army ${army?.name} into ${target?.name}:`, err);
+            ui.notifications.error(`无法合兵: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Place a token for a new army next to the token of the army it split from
+     * @param {Actor} army - The original army
+     * @param {Actor} detachment - The new army
+     * @returns {Promise<TokenDocument|null>} The created token
+     * @private
+     */
+    static async _placeToken(army, detachment) {
+        const token = MapGraph.getArmyToken(army);
+        if (!token) return null;
+
+        const scene = token.parent;
+        const data = await detachment.getTokenDocument({
+            x: token.x + token.width * scene.grid.size,
+            y: token.y
+        });
+        const [created] = await scene.createEmbeddedDocuments('Token', [data.toObject()]);
+        return created;
+    }
+
+    /**
+     * Delete the tokens of an army from every scene
+     * @param {Actor} army - The army
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _deleteTokens(army) {
+        for (const scene of game.scenes) {
+            const ids = scene.tokens.filter(token => token.actorId === army.id).map(token => token.id);
+            if (ids.length) await scene.deleteEmbeddedDocuments('Token', ids);
+        }
+    }
+
+    /**
+     * Post a split or merge to chat
+     * @param {string} title - The report title
+     * @param {string} summary - What happened
+     * @param {Array<string>} carried - Names of the heroes, Items and legions that moved
+     * @returns {Promise<ChatMessage>} The created chat message
+     * @private
+     */
+    static async _postReport(title, summary, carried) {
+        const list = carried.length ? `<ul>${carried.map(name => `<li>${name}</li>`).join('')}</ul>` : '';
+        return ChatMessage.create({
+            speaker: ChatMessage.getSpeaker(),
+            content: `<div class="battlefield-system army-report"><h3><i class="fas fa-people-arrows"></i> ${title}</h3><p>${summary}</p>${list}</div>`
+        });
+    }
+
+    /**
+     * Ask how to split an army: the new army's name and size, and which heroes, legions and Items it takes
+     * @param {Actor} army - The army
+     * @returns {Promise<Actor|null>} The new army
+     */
+    static async promptSplit(army) {
+        const total = army._source.system.size || 0;
+        if (total < 2) {
+            ui.notifications.warn(`${army.name} 的规模不足以分兵`);
+            return null;
+        }
+
+        const rows = this.getAssignableItems(army).map(item => `
+            <div class="form-group">
+                <label>${this.ITEM_TYPES[item.type]}: ${item.name}</label>
+                <select name="item-${item.id}">
+                    <option value="keep">留在本部</option>
+                    <option value="move">随分队</option>
+                    ${item.type === 'status' ? '<option value="both">两者皆有</option>' : ''}
+                </select>
+            </div>`);
+        army.system.getLegendaryLegions().forEach((legion, index) => rows.push(`
+            <div class="form-group">
+                <label>传奇军团: ${legion.name}</label>
+                <select name="legion-${index}">
+                    <option value="keep">留在本部</option>
+                    <option value="move">随分队</option>
+                </select>
+            </div>`));
+
+        const options = await foundry.applications.api.DialogV2.prompt({
+            window: { title: `${army.name} - 分兵` },
+            content: `
+                <div class="form-group">
+                    <label>分队名称:</label>
+                    <input name="name" type="text" value="${army.name}（分队）" />
+                </div>
+                <div class="form-group">
+                    <label>分队规模:</label>
+                    <input name="size" type="number" min="1" max="${total - 1}" value="${Math.floor(total / 2)}" />
+                </div>
+                ${rows.join('')}`,
+            ok: {
+                label: '分兵',
+                icon: 'fas fa-people-arrows',
+                callback: (event, button) => {
+                    const elements = button.form.elements;
+                    const choice = name => elements[name]?.value;
+                    const assigned = value => this.getAssignableItems(army)
+                        .filter(item => choice(`item-${item.id}`) === value)
+                        .map(item => item.id);
+                    return {
+                        name: elements.name.value.trim(),
+                        size: parseInt(elements.size.value),
+                        items: assigned('move'),
+                        sharedItems: assigned('both'),
+                        legions: army.system.getLegendaryLegions()
+                            .map((legion, index) => index)
+                            .filter(index => choice(`legion-${index}`) === 'move')
+                    };
+                }
+            },
+            rejectClose: false
+        });
+
+        if (!options) return null;
+        return this.split(army, options);
+    }
+
+    /**
+     * Ask which army of the same faction an army merges into, and which of its statuses are left behind
+     * @param {Actor} army - The army
+     * @returns {Promise<Actor|null>} The receiving army
+     */
+    static async promptMerge(army) {
+        const faction = army.getFaction();
+        const candidates = game.actors.filter(actor => actor.isArmyActor() && actor !== army && actor.getFaction() === faction);
+        if (!candidates.length) {
+            ui.notifications.warn(`没有可供 ${army.name} 并入的同势力军队`);
+            return null;
+        }
+
+        const options = candidates.map(actor =>
+            `<option value="${actor.id}">${actor.name}（规模 ${actor.system.size || 0}）</option>`).join('');
+        const statuses = army.items.filter(item => item.type === 'status');
+        const rows = statuses.map(item => `
+            <div class="form-group">
+                <label>状态: ${item.name}</label>
+                <input name="status-${item.id}" type="checkbox" checked />
+            </div>`);
+
+        const choice = await foundry.applications.api.DialogV2.prompt({
+            window: { title: `${army.name} - 并入…` },
+            content: `
+                <p>${army.name} 的规模、英雄、传奇军团与遗物将并入所选军队，随后删除 ${army.name} 及其标记。</p>
+                <div class="form-group">
+                    <label>并入:</label>
+                    <select name="target">${options}</select>
+                </div>
+                ${rows.length ? '<p>保留的状态:</p>' : ''}
+                ${rows.join('')}`,
+            ok: {
+                label: '合兵',
+                icon: 'fas fa-object-group',
+                callback: (event, button) => ({
+                    target: button.form.elements.target.value,
+                    droppedItems: statuses
+                        .filter(item => !button.form.elements[`status-${item.id}`].checked)
+                        .map(item => item.id)
+                })
+            },
+            rejectClose: false
+        });
+
+        if (!choice) return null;
+        return this.merge(army, game.actors.get(choice.target), { droppedItems: choice.droppedItems });
+    }
+}
@@ -0,0 +1,84 @@
+/*
+ * CampaignClock - World-level campaign turn and season tracker
+ */
+
+import logger from '../utils/Logger.js';
+
+export class CampaignClock {
+    /**
+     * Name of the hook fired every time the campaign advances a turn
+     * Listeners receive the new and the previous clock state.
+     * The hook only fires on the GM client that advanced the clock.
+     * @type {string}
+     */
+    static HOOK = 'battlefield-system.advanceTurn';
+
+    /**
+     * The current campaign turn number
+     * @type {number}
+     */
+    static get turn() {
+        return game.settings.get(game.system.id, 'campaignClock')?.turn ?? 1;
+    }
+
+    /**
+     * Describe a campaign turn: its season and year
+     * @param {number} [turn] - The turn to describe, defaults to the current turn
+     * @returns {Object} The turn number, season index and label, and year
+     */
+    static getState(turn = this.turn) {
+        const { seasons, turnsPerSeason } = CONFIG.BATTLEFIELD.campaign;
+        const seasonCount = Math.floor((turn - 1) / turnsPerSeason);
+        const season = seasonCount % seasons.length;
+
+        return {
+            turn,
+            season,
+            seasonLabel: game.i18n.localize(seasons[season]),
+            year: Math.floor(seasonCount / seasons.length) + 1
+        };
+    }
+
+    /**
+     * Set the campaign turn, firing the advance hook when it moves forward
+     * @param {number} turn - The new turn number
+     * @returns {Promise<Object|null>} The new clock state, or null if it could not be set
+     */
+    static async setTurn(turn) {
+        try {
+            if (!game.user.isGM) {
+                throw new Error('Only a GM can change the campaign turn');
+            }
+            if (!Number.isInteger(turn) || turn < 1) {
+                throw new Error(`Invalid campaign turn: ${turn}`);
+            }
+
+            const previous = this.getState();
+            await game.settings.set(game.system.id, 'campaignClock', { turn });
+            const current = this.getState(turn);
+
+            if (turn > previous.turn) {
+                await ChatMessage.create({
+                    speaker: ChatMessage.getSpeaker(),
+                    content: `<p><i class="fas fa-hourglass-start"></i> 战役进入第 ${current.turn} 回合（第 ${current.year} 年 ${current.seasonLabel}）</p>`
+                });
+                Hooks.callAll(this.HOOK, current, previous);
+            }
+
+            logger.debug(`Campaign turn set from ${previous.turn} to ${turn}`);
+            return current;
+        } catch (err) {
+            logger.error('Failed to set campaign turn:', err);
+            ui.notifications.error(`无法设置战役回合: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Advance the campaign by one turn
+     * @returns {Promise<Object|null>} The new clock state
+     */
+    static async advance() {
+        return this.setTurn(this.turn + 1);
+    }
+}
@@ -0,0 +1,327 @@
+/*
+ * CampaignEvents - Event cards drawn from a RollTable deck and applied to factions, armies and structures
+ */
+
+import logger from '../utils/Logger.js';
+import BattlefieldUtils from '../../lib/utils.js';
+import { CampaignClock } from './CampaignClock.js';
+
+export class CampaignEvents {
+    /**
+     * Path of the event chat card template
+     * @type {string}
+     */
+    static TEMPLATE = 'systems/battlefield-system/templates/chat/event-card.hbs';
+
+    /**
+     * Labels of the actor types an event can target
+     * @type {Object<string, string>}
+     */
+    static TARGETS = {
+        faction: '势力',
+        army: '军队',
+        structure: '建筑'
+    };
+
+    /**
+     * Get the configured event deck
+     * @returns {Promise<RollTable|null>} The event table, or null if none is configured
+     */
+    static async getTable() {
+        const uuid = game.settings.get(game.system.id, 'eventTable');
+        if (!uuid) return null;
+        return fromUuid(uuid);
+    }
+
+    /**
+     * Create the default event deck from the system configuration if no deck is configured
+     * Only the active GM creates it.
+     * @returns {Promise<RollTable|null>} The configured or newly created table
+     */
+    static async ensureDefaultTable() {
+        const table = await this.getTable();
+        if (table || !game.users.activeGM?.isSelf) return table;
+
+        const { tableName, cards } = CONFIG.BATTLEFIELD.events;
+        const created = await RollTable.implementation.create({
+            name: tableName,
+            formula: `1d${cards.length}`,
+            replacement: false,
+            displayRoll: false,
+            results: cards.map(({ name, description, target, duration, effects }, index) => ({
+                type: CONST.TABLE_RESULT_TYPES.TEXT,
+                name,
+                description,
+                range: [index + 1, index + 1],
+                weight: 1,
+                flags: {
+                    'battlefield-system': { target, duration: duration ?? null, effects }
+                }
+            }))
+        });
+
+        await game.settings.set(game.system.id, 'eventTable', created.uuid);
+        logger.log(`Created default campaign event deck ${created.uuid}`);
+        return created;
+    }
+
+    /**
+     * Read an event card from a drawn table result
+     * Results created by the system carry their target and effects in flags; results of
+     * hand-written tables can target any actor and are only logged.
+     * @param {TableResult} result - The drawn table result
+     * @returns {Object} The event card {name, description, img, target, duration, effects}
+     */
+    static parseCard(result) {
+        const flags = result.flags['battlefield-system'] ?? {};
+        return {
+            name: result.name || result.description || '战役事件',
+            description: result.name ? result.description ?? '' : '',
+            img: result.img,
+            target: flags.target in this.TARGETS ? flags.target : null,
+            duration: flags.duration ?? null,
+            effects: flags.effects ?? []
+        };
+    }
+
+    /**
+     * Draw the next card of the event deck, ask for its target and apply it
+     * The deck is shuffled back together once every card has been drawn.
+     * @returns {Promise<Object|null>} The applied event, or null if none was applied
+     */
+    static async draw() {
+        try {
+            if (!game.user.isGM) {
+                throw new Error('Only a GM can draw campaign events');
+            }
+
+            const table = await this.getTable();
+            if (!table) {
+                throw new Error('No campaign event deck is configured');
+            }
+            if (!table.replacement && table.results.every(result => result.drawn)) {
+                await table.resetResults();
+            }
+
+            const { results } = await table.draw({ displayChat: false });
+            if (!results[0]) return null;
+
+            const card = this.parseCard(results[0]);
+            const target = await this.promptTarget(card);
+            if (!target) {
+                ui.notifications.info(`事件「${card.name}」没有目标，已弃置`);
+                return null;
+            }
+
+            return this.apply(card, target);
+        } catch (err) {
+            logger.error('Failed to draw campaign event:', err);
+            ui.notifications.error(`无法抽取战役事件: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Ask the GM which actor a drawn event targets
+     * The actor of a controlled token of the right type is preselected.
+     * @param {Object} card - The event card
+     * @returns {Promise<Actor|null>} The chosen target
+     */
+    static async promptTarget(card) {
+        const candidates = game.actors.filter(actor => card.target
+            ? actor.type === card.target
+            : actor.type in this.TARGETS);
+        if (!candidates.length) return null;
+
+        const controlled = canvas.tokens?.controlled.map(token => token.actor).find(actor => candidates.includes(actor));
+        const options = candidates.map(actor =>
+            `<option value="${actor.id}" ${actor === controlled ? 'selected' : ''}>${actor.name}</option>`).join('');
+        const targetLabel = card.target ? this.TARGETS[card.target] : '目标';
+
+        const id = await foundry.applications.api.DialogV2.prompt({
+            window: { title: `战役事件 - ${card.name}` },
+            content: `
+                <p><strong>${card.name}</strong>${card.description ? `: ${card.description}` : ''}</p>
+                <div class="form-group">
+                    <label>${targetLabel}:</label>
+                    <select name="target">${options}</select>
+                </div>`,
+            ok: {
+                label: '施加事件',
+                icon: 'fas fa-bolt',
+                callback: (event, button) => button.form.elements.target.value
+            },
+            rejectClose: false
+        });
+
+        return id ? game.actors.get(id) : null;
+    }
+
+    /**
+     * Apply an event card to an actor, record it as active and post it to chat
+     * @param {Object} card - The event card
+     * @param {Actor} target - The faction, army or structure the event targets
+     * @returns {Promise<Object>} The active event entry
+     */
+    static async apply(card, target) {
+        const turn = CampaignClock.turn;
+        const { summary, statuses } = await this.applyEffects(card.effects, target);
+
+        const entry = {
+            id: foundry.utils.randomID(),
+            name: card.name,
+            description: card.description,
+            turn,
+            expiresTurn: card.duration ? turn + card.duration : null,
+            statuses
+        };
+        const activeEvents = target.system.toObject().activeEvents;
+        activeEvents.push(entry);
+        await target.update({ 'system.activeEvents': activeEvents });
+
+        const content = await renderTemplate(this.TEMPLATE, {
+            ...card,
+            target: { uuid: target.uuid, name: target.name, img: target.img },
+            summary,
+            expiresTurn: entry.expiresTurn
+        });
+        await ChatMessage.create({ speaker: ChatMessage.getSpeaker(), content });
+
+        Hooks.callAll('battlefield-system.eventApplied', entry, target);
+        logger.debug(`Applied event ${card.name} to ${target.name}`, entry);
+        return entry;
+    }
+
+    /**
+     * Apply the effects of an event
+     * Status and size effects on a faction reach all of its armies; resource effects on an
+     * army or structure reach the treasury of the faction it belongs to.
+     * @param {Array<Object>} effects - The event effects
+     * @param {Actor} target - The targeted actor
+     * @returns {Promise<{summary: Array<string>, statuses: Array<string>}>} What changed, and the UUIDs of the statuses added
+     */
+    static async applyEffects(effects, target) {
+        const summary = [];
+        const statuses = [];
+        const armies = target.isFactionActor() ? target.getFactionMembers().armies : [target];
+
+        for (const effect of effects) {
+            switch (effect.type) {
+                case 'status': {
+                    const preset = BattlefieldUtils.getStatusEffects()[effect.status];
+                    const name = preset?.label ?? effect.status;
+                    for (const actor of armies) {
+                        // Statuses the actor already had are left alone when the event ends
+                        const existing = new Set(actor.items.keys());
+                        const status = await actor.addStatus(name, preset ? { statusId: preset.id } : {});
+                        if (!existing.has(status.id)) statuses.push(status.uuid);
+                        summary.push(`${actor.name} 获得状态「${name}」`);
+                    }
+                    break;
+                }
+
+                case 'size':
+                    for (const army of armies.filter(actor => actor.isArmyActor())) {
+                        const size = Math.max((army._source.system.size || 0) + effect.value, 0);
+                        await army.update({ 'system.size': size });
+                        summary.push(`${army.name} 规模 ${effect.value > 0 ? '+' : ''}${effect.value}（现为 ${size}）`);
+                    }
+                    break;
+
+                case 'resource': {
+                    const faction = target.isFactionActor() ? target : target.getFaction();
+                    if (!faction || !(effect.resource in faction.system.treasury)) break;
+
+                    const amount = faction.system.treasury[effect.resource] + effect.value;
+                    await faction.update({ [`system.treasury.${effect.resource}`]: amount });
+                    const label = game.i18n.localize(CONFIG.BATTLEFIELD.resourceTypes[effect.resource].label);
+                    summary.push(`${faction.name} ${label} ${effect.value > 0 ? '+' : ''}${effect.value}`);
+                    break;
+                }
+
+                default:
+                    logger.warn(`Unknown event effect type: ${effect.type}`);
+            }
+        }
+
+        return { summary, statuses };
+    }
+
+    /**
+     * End an active event on an actor, removing the statuses it added
+     * @param {Actor} actor - The actor the event is active on
+     * @param {string} eventId - ID of the active event
+     * @returns {Promise<Object|null>} The ended event, or null if it could not be ended
+     */
+    static async end(actor, eventId) {
+        try {
+            const activeEvents = actor.system.toObject().activeEvents;
+            const index = activeEvents.findIndex(entry => entry.id === eventId);
+            if (index < 0) {
+                throw new Error(`No active event ${eventId} on ${actor.name}`);
+            }
+
+            const [ended] = activeEvents.splice(index, 1);
+            await actor.update({ 'system.activeEvents': activeEvents });
+
+            for (const uuid of ended.statuses) {
+                await fromUuidSync(uuid)?.delete();
+            }
+
+            logger.debug(`Ended event ${ended.name} on ${actor.name}`);
+            return ended;
+        } catch (err) {
+            logger.error(`Failed to end event on ${actor?.name}:`, err);
+            ui.notifications.error(`无法结束事件: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * End every event whose duration has run out and post a summary to chat
+     * @param {number} [turn] - The campaign turn, defaults to the current turn
+     * @returns {Promise<Array<Object>>} The ended events with their actors
+     */
+    static async expire(turn = CampaignClock.turn) {
+        const expired = [];
+
+        for (const actor of this.getActors()) {
+            const due = actor.system.activeEvents.filter(entry => entry.expiresTurn !== null && entry.expiresTurn <= turn);
+            for (const entry of due) {
+                if (await this.end(actor, entry.id)) expired.push({ actor, entry });
+            }
+        }
+
+        if (expired.length) {
+            const items = expired.map(({ actor, entry }) => `<li>${actor.name}: ${entry.name}</li>`);
+            await ChatMessage.create({
+                speaker: ChatMessage.getSpeaker(),
+                content: `<div class="battlefield-system event-report"><h3><i class="fas fa-bolt"></i> 事件结束</h3><ul>${items.join('')}</ul></div>`
+            });
+        }
+
+        logger.debug(`Expired ${expired.length} campaign events on turn ${turn}`);
+        return expired;
+    }
+
+    /**
+     * Get the actors with at least one active event
+     * @returns {Array<Actor>} The actors
+     */
+    static getActors() {
+        return game.actors.filter(actor => actor.type in this.TARGETS && actor.system.activeEvents?.length);
+    }
+
+    /**
+     * Describe the active events of an actor for display
+     * @param {Actor} actor - The actor
+     * @returns {Array<Object>} Active events with the number of turns left
+     */
+    static getActiveEvents(actor) {
+        const turn = CampaignClock.turn;
+        return (actor.system.activeEvents ?? []).map(entry => ({
+            ...entry,
+            remaining: entry.expiresTurn === null ? null : Math.max(entry.expiresTurn - turn, 0)
+        }));
+    }
+}
@@ -0,0 +1,411 @@
+/*
+ * Diplomacy - Symmetric relations and treaties between Faction actors
+ */
+
+import logger from '../utils/Logger.js';
+import BattlefieldActor from '../documents/BattlefieldActor.js';
+import { CampaignClock } from './CampaignClock.js';
+
+export class Diplomacy {
+    /**
+     * Get every Faction actor in the world
+     * @returns {Array<Actor>} The faction actors
+     */
+    static getFactions() {
+        return game.actors.filter(actor => actor.isFactionActor());
+    }
+
+    /**
+     * Set the stance of one faction towards another, optionally recording a deed
+     * The other faction receives the same relation, so both sheets always agree.
+     * @param {Actor} faction - The faction changing its stance
+     * @param {Actor} other - The faction the stance is towards
+     * @param {string} stance - The new stance (ally, neutral or enemy)
+     * @param {string} [deed] - A deed explaining the change, dated to the current campaign turn
+     * @returns {Promise<Object|null>} The updated relation, or null if it could not be set
+     */
+    static async setStance(faction, other, stance, deed) {
+        try {
+            this._validatePair(faction, other);
+            if (!(stance in CONFIG.BATTLEFIELD.diplomacy.stances)) {
+                throw new Error(`Unknown stance: ${stance}`);
+            }
+
+            const relation = await this._updateRelation(faction, other, relation => {
+                relation.stance = stance;
+                if (deed) relation.deeds.push({ turn: CampaignClock.turn, text: deed });
+            });
+
+            logger.debug(`${faction.name} is now ${stance} towards ${other.name}`);
+            return relation;
+        } catch (err) {
+            logger.error(`Failed to set the stance of ${faction?.name} towards ${other?.name}:`, err);
+            ui.notifications.error(`无法设置外交关系: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Record a deed between two factions without changing their stance
+     * @param {Actor} faction - The faction recording the deed
+     * @param {Actor} other - The other faction involved
+     * @param {string} text - What happened
+     * @param {number} [turn] - The campaign turn, defaults to the current turn
+     * @returns {Promise<Object|null>} The updated relation, or null if it could not be recorded
+     */
+    static async recordDeed(faction, other, text, turn = CampaignClock.turn) {
+        try {
+            this._validatePair(faction, other);
+            if (!text?.trim()) {
+                throw new Error('A deed needs a description');
+            }
+
+            const relation = await this._updateRelation(faction, other, relation => {
+                relation.deeds.push({ turn, text: text.trim() });
+            });
+
+            logger.debug(`Recorded deed between ${faction.name} and ${other.name}: ${text}`);
+            return relation;
+        } catch (err) {
+            logger.error(`Failed to record deed between ${faction?.name} and ${other?.name}:`, err);
+            ui.notifications.error(`无法记录事迹: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Remove a deed from the history between two factions
+     * @param {Actor} faction - The faction editing its history
+     * @param {Actor} other - The other faction
+     * @param {number} index - Index of the deed
+     * @returns {Promise<Object|null>} The updated relation
+     */
+    static async removeDeed(faction, other, index) {
+        try {
+            this._validatePair(faction, other);
+            return await this._updateRelation(faction, other, relation => {
+                if (index < 0 || index >= relation.deeds.length) {
+                    throw new Error('Deed index out of range');
+                }
+                relation.deeds.splice(index, 1);
+            });
+        } catch (err) {
+            logger.error(`Failed to remove deed between ${faction?.name} and ${other?.name}:`, err);
+            ui.notifications.error(`无法删除事迹: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * End the relation between two factions on both sides, discarding its history
+     * @param {Actor} faction - The faction ending the relation
+     * @param {Actor|string} other - The other faction, or its UUID if it no longer exists
+     */
+    static async removeRelation(faction, other) {
+        try {
+            const uuid = typeof other === 'string' ? other : other?.uuid;
+            const relations = faction.system.toObject().relations.filter(relation => relation.faction !== uuid);
+            await faction.update({ 'system.relations': relations });
+            await this.syncRelations(faction);
+
+            logger.debug(`Removed relation between ${faction.name} and ${uuid}`);
+        } catch (err) {
+            logger.error(`Failed to remove relation from ${faction?.name}:`, err);
+            ui.notifications.error(`无法删除外交关系: ${err.message}`);
+        }
+    }
+
+    /**
+     * Mirror a faction's relations onto the other factions
+     * Every other faction gets an identical relation back, and relations the faction no longer
+     * has are removed from the other side. Only factions the current user can edit are updated;
+     * the active GM runs this for every change, which covers the rest.
+     * @param {Actor} faction - The faction whose relations are authoritative
+     */
+    static async syncRelations(faction) {
+        for (const other of this.getFactions()) {
+            if (other === faction || !other.isOwner) continue;
+
+            const expected = faction.system.getRelation(other);
+            const relations = other.system.toObject().relations;
+            const index = relations.findIndex(relation => relation.faction === faction.uuid);
+
+            if (expected) {
+                const mirrored = { ...foundry.utils.deepClone(expected), faction: faction.uuid };
+                if (index >= 0 && foundry.utils.objectsEqual(relations[index], mirrored)) continue;
+                if (index >= 0) relations[index] = mirrored;
+                else relations.push(mirrored);
+            } else {
+                if (index < 0) continue;
+                relations.splice(index, 1);
+            }
+
+            await other.update({ 'system.relations': relations });
+            logger.debug(`Mirrored relation of ${faction.name} onto ${other.name}`);
+        }
+    }
+
+    /**
+     * Get the turn a treaty ends on
+     * @param {Object} treaty - The treaty
+     * @returns {number|null} The first turn the treaty is no longer in force, or null if it has no end
+     */
+    static getTreatyEnd(treaty) {
+        return treaty.duration ? treaty.startTurn + treaty.duration : null;
+    }
+
+    /**
+     * Sign a treaty between two factions
+     * @param {Actor} faction - The faction proposing the treaty
+     * @param {Actor} other - The treaty partner
+     * @param {Object} data - The treaty
+     * @param {string} data.type - The treaty type, a key of CONFIG.BATTLEFIELD.diplomacy.treatyTypes
+     * @param {number|null} [data.duration] - Number of turns the treaty lasts, null for no end
+     * @param {string} [data.terms] - The terms agreed
+     * @param {number} [data.startTurn] - The turn the treaty starts, defaults to the current turn
+     * @returns {Promise<Object|null>} The signed treaty, or null if it could not be signed
+     */
+    static async signTreaty(faction, other, { type, duration = null, terms = '', startTurn = CampaignClock.turn } = {}) {
+        try {
+            this._validatePair(faction, other);
+            const treatyType = CONFIG.BATTLEFIELD.diplomacy.treatyTypes[type];
+            if (!treatyType) {
+                throw new Error(`Unknown treaty type: ${type}`);
+            }
+
+            const treaty = {
+                id: foundry.utils.randomID(),
+                type,
+                startTurn,
+                duration: duration > 0 ? duration : null,
+                terms: terms.trim()
+            };
+
+            await this._updateRelation(faction, other, relation => {
+                relation.treaties.push(treaty);
+                relation.deeds.push({ turn: startTurn, text: `签订${treatyType.label}` });
+            });
+
+            logger.debug(`${faction.name} and ${other.name} signed a ${type} treaty`, treaty);
+            return treaty;
+        } catch (err) {
+            logger.error(`Failed to sign treaty between ${faction?.name} and ${other?.name}:`, err);
+            ui.notifications.error(`无法签订条约: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * End a treaty between two factions, recording why in their history
+     * @param {Actor} faction - One of the treaty partners
+     * @param {Actor} other - The other treaty partner
+     * @param {string} treatyId - ID of the treaty
+     * @param {string} [reason] - Why the treaty ended, e.g. "到期"
+     * @returns {Promise<Object|null>} The ended treaty, or null if it could not be ended
+     */
+    static async endTreaty(faction, other, treatyId, reason = '终止') {
+        try {
+            this._validatePair(faction, other);
+
+            let ended;
+            await this._updateRelation(faction, other, relation => {
+                const index = relation.treaties.findIndex(treaty => treaty.id === treatyId);
+                if (index < 0) {
+                    throw new Error(`No treaty ${treatyId} between ${faction.name} and ${other.name}`);
+                }
+                [ended] = relation.treaties.splice(index, 1);
+                const label = CONFIG.BATTLEFIELD.diplomacy.treatyTypes[ended.type]?.label ?? ended.type;
+                relation.deeds.push({ turn: CampaignClock.turn, text: `${label}${reason}` });
+            });
+
+            logger.debug(`Ended treaty ${treatyId} between ${faction.name} and ${other.name}: ${reason}`);
+            return ended;
+        } catch (err) {
+            logger.error(`Failed to end treaty between ${faction?.name} and ${other?.name}:`, err);
+            ui.notifications.error(`无法终止条约: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * End every treaty whose duration has run out and post a summary to chat
+     * @param {number} [turn] - The campaign turn, defaults to the current turn
+     * @returns {Promise<Array<Object>>} The expired treaties with their partners
+     */
+    static async expireTreaties(turn = CampaignClock.turn) {
+        const expired = [];
+
+        for (const faction of this.getFactions()) {
+            // Partners are mirrored, so a treaty ended here is already gone when its partner comes up
+            const due = faction.system.relations.flatMap(relation => relation.treaties
+                .filter(treaty => {
+                    const end = this.getTreatyEnd(treaty);
+                    return end !== null && end <= turn;
+                })
+                .map(treaty => ({ other: fromUuidSync(relation.faction), treaty })));
+
+            for (const { other, treaty } of due) {
+                if (!other?.isFactionActor()) continue;
+                if (await this.endTreaty(faction, other, treaty.id, '到期')) {
+                    expired.push({ faction, other, treaty });
+                }
+            }
+        }
+
+        if (expired.length) {
+            const types = CONFIG.BATTLEFIELD.diplomacy.treatyTypes;
+            const items = expired.map(({ faction, other, treaty }) =>
+                `<li>${faction.name} 与 ${other.name} 的${types[treaty.type]?.label ?? treaty.type}（自第 ${treaty.startTurn} 回合）</li>`);
+            await ChatMessage.create({
+                speaker: ChatMessage.getSpeaker(),
+                content: `<div class="battlefield-system treaty-report"><h3><i class="fas fa-file-contract"></i> 条约到期</h3><ul>${items.join('')}</ul></div>`
+            });
+        }
+
+        logger.debug(`Expired ${expired.length} treaties on turn ${turn}`);
+        return expired;
+    }
+
+    /**
+     * Check a battle or siege result for attacks on treaty partners
+     * The first army of a battle is the attacker; every other side it fought is checked.
+     * @param {Object} result - The battle or siege result from the chat card flags
+     */
+    static async checkBattleBreaches(result) {
+        const attackerUuid = result.type === 'siege' ? result.attacker.actorUuid : result.attackerUuid;
+        const army = attackerUuid ? fromUuidSync(attackerUuid) : null;
+        const breaker = army?.getFaction();
+        if (!breaker) return;
+
+        if (result.type === 'siege') {
+            const structure = fromUuidSync(result.defender.actorUuid);
+            const victim = BattlefieldActor.resolveFaction(result.previousOwner);
+            await this.checkBreach(breaker, victim, army, structure);
+            return;
+        }
+
+        for (const side of result.sides) {
+            if (side.actorUuid === attackerUuid) continue;
+            const target = fromUuidSync(side.actorUuid);
+            await this.checkBreach(breaker, target?.getFaction(), army, target);
+        }
+    }
+
+    /**
+     * Handle an attack by one faction on another, breaking any treaties between them
+     * The treaties are voided, the victim becomes an enemy with the breach in its history,
+     * and the penalty chosen in the system settings is applied to the breaker.
+     * @param {Actor} breaker - The attacking faction
+     * @param {Actor} victim - The faction that was attacked
+     * @param {Actor} army - The attacking army
+     * @param {Actor} target - The army or structure that was attacked
+     * @returns {Promise<Array<Object>>} The broken treaties, empty if there were none
+     */
+    static async checkBreach(breaker, victim, army, target) {
+        if (!breaker?.isFactionActor() || !victim?.isFactionActor() || breaker === victim) return [];
+
+        const treaties = breaker.system.getTreaties(victim);
+        if (!treaties.length) return [];
+
+        try {
+            const types = CONFIG.BATTLEFIELD.diplomacy.treatyTypes;
+            const labels = treaties.map(treaty => types[treaty.type]?.label ?? treaty.type).join('、');
+            const deed = `${breaker.name}的${army.name}攻击了${target?.name ?? victim.name}，撕毁了${labels}`;
+
+            await this._updateRelation(breaker, victim, relation => {
+                relation.treaties = [];
+                relation.stance = 'enemy';
+                relation.deeds.push({ turn: CampaignClock.turn, text: deed });
+            });
+
+            const penalty = await this._applyBreachPenalty(breaker, victim, army);
+
+            await ChatMessage.create({
+                speaker: ChatMessage.getSpeaker(),
+                content: `<div class="battlefield-system treaty-report breach"><h3><i class="fas fa-file-circle-xmark"></i> 背约</h3><p>${deed}。${victim.name}视${breaker.name}为仇敌。</p>${penalty ? `<p>${penalty}</p>` : ''}</div>`
+            });
+
+            Hooks.callAll('battlefield-system.treatyBroken', { breaker, victim, army, target, treaties });
+            logger.debug(`${breaker.name} broke ${treaties.length} treaties with ${victim.name}`);
+        } catch (err) {
+            logger.error(`Failed to handle treaty breach by ${breaker.name}:`, err);
+            ui.notifications.error(`无法处理背约: ${err.message}`);
+        }
+        return treaties;
+    }
+
+    /**
+     * Apply the configured treaty breach penalty
+     * @param {Actor} breaker - The faction that broke the treaties
+     * @param {Actor} victim - The faction that was attacked
+     * @param {Actor} army - The attacking army
+     * @returns {Promise<string>} A description of the penalty for the chat report
+     * @private
+     */
+    static async _applyBreachPenalty(breaker, victim, army) {
+        const config = CONFIG.BATTLEFIELD.diplomacy;
+
+        switch (game.settings.get(game.system.id, 'treatyBreachPenalty')) {
+            case 'status':
+                await army.addStatus(config.breachStatus);
+                return `${army.name}获得状态「${config.breachStatus}」`;
+
+            case 'reparations': {
+                const paid = { ...breaker.system.treasury };
+                const received = { ...victim.system.treasury };
+                const parts = [];
+                for (const [type, amount] of Object.entries(config.breachReparations)) {
+                    if (!(type in paid) || !(type in received)) continue;
+                    paid[type] -= amount;
+                    received[type] += amount;
+                    parts.push(`${amount} ${game.i18n.localize(CONFIG.BATTLEFIELD.resourceTypes[type].label)}`);
+                }
+                if (!parts.length) return '';
+
+                await breaker.update({ 'system.treasury': paid });
+                await victim.update({ 'system.treasury': received });
+                return `${breaker.name}向${victim.name}赔付 ${parts.join('、')}`;
+            }
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Check that two actors are distinct factions
+     * @param {Actor} faction - The first faction
+     * @param {Actor} other - The second faction
+     * @private
+     */
+    static _validatePair(faction, other) {
+        if (!faction?.isFactionActor?.() || !other?.isFactionActor?.()) {
+            throw new Error('Relations can only be set between factions');
+        }
+        if (faction === other) {
+            throw new Error('A faction cannot have a relation with itself');
+        }
+    }
+
+    /**
+     * Modify the relation of a faction towards another, creating it if needed, then mirror it
+     * @param {Actor} faction - The faction to update
+     * @param {Actor} other - The other faction
+     * @param {Function} modify - Receives the relation object to change in place
+     * @returns {Promise<Object>} The updated relation
+     * @private
+     */
+    static async _updateRelation(faction, other, modify) {
+        const relations = faction.system.toObject().relations;
+        let relation = relations.find(entry => entry.faction === other.uuid);
+        if (!relation) {
+            relation = { faction: other.uuid, stance: 'neutral', deeds: [], treaties: [] };
+            relations.push(relation);
+        }
+
+        modify(relation);
+        await faction.update({ 'system.relations': relations });
+        await this.syncRelations(faction);
+        return relation;
+    }
+}
@@ -0,0 +1,242 @@
+/*
+ * Economy - Resource production and faction income
+ */
+
+import logger from '../utils/Logger.js';
+import { CampaignClock } from './CampaignClock.js';
+
+export class Economy {
+    /**
+     * Path of the income report chat template
+     * @type {string}
+     */
+    static TEMPLATE = 'systems/battlefield-system/templates/chat/income-report.hbs';
+
+    /**
+     * Path of the upkeep report chat template
+     * @type {string}
+     */
+    static UPKEEP_TEMPLATE = 'systems/battlefield-system/templates/chat/upkeep-report.hbs';
+
+    /**
+     * Localized labels of all resource types
+     * @returns {Object<string, string>} Resource type to label
+     */
+    static getResourceLabels() {
+        return Object.fromEntries(Object.entries(CONFIG.BATTLEFIELD.resourceTypes)
+            .map(([type, config]) => [type, game.i18n.localize(config.label)]));
+    }
+
+    /**
+     * Describe an amount of resources for display, e.g. "金币 10，粮食 20"
+     * @param {Object<string, number>} resources - Resource type to amount
+     * @returns {string} The formatted resources
+     */
+    static formatResources(resources) {
+        const labels = this.getResourceLabels();
+        return Object.entries(resources)
+            .filter(([, amount]) => amount)
+            .map(([type, amount]) => `${labels[type] ?? type} ${amount}`)
+            .join('，');
+    }
+
+    /**
+     * Get all structures owned by a faction
+     * @param {Actor} faction - The faction actor
+     * @returns {Array<Actor>} The owned structure actors
+     */
+    static getOwnedStructures(faction) {
+        return faction.getFactionMembers().structures;
+    }
+
+    /**
+     * Work out the income a faction receives from its structures this turn
+     * @param {Actor} faction - The faction actor
+     * @returns {Object} Totals per resource type and the itemised sources
+     */
+    static computeIncome(faction) {
+        const totals = {};
+        const sources = [];
+
+        for (const structure of this.getOwnedStructures(faction)) {
+            const production = structure.system.getProductionTotals();
+            if (!Object.keys(production).length) continue;
+
+            sources.push({ name: structure.name, production });
+            for (const [type, amount] of Object.entries(production)) {
+                totals[type] = (totals[type] || 0) + amount;
+            }
+        }
+
+        return { totals, sources };
+    }
+
+    /**
+     * Credit every faction with the production of the structures it owns and post an income report
+     * @returns {Promise<Array<Object>>} The income credited to each faction
+     */
+    static async collectIncome() {
+        try {
+            if (!game.user.isGM) {
+                throw new Error('Only a GM can collect income');
+            }
+
+            const reports = [];
+            for (const faction of game.actors.filter(actor => actor.type === 'faction')) {
+                const income = this.computeIncome(faction);
+                if (!income.sources.length) continue;
+
+                const treasury = { ...faction.system.treasury };
+                for (const [type, amount] of Object.entries(income.totals)) {
+                    if (type in treasury) treasury[type] += amount;
+                }
+                await faction.update({ 'system.treasury': treasury });
+
+                reports.push({ faction, ...income, treasury });
+            }
+
+            if (reports.length) await this._postIncomeReport(reports);
+            Hooks.callAll('battlefield-system.incomeCollected', reports);
+
+            logger.debug(`Collected income for ${reports.length} factions`);
+            return reports;
+        } catch (err) {
+            logger.error('Failed to collect income:', err);
+            ui.notifications.error(`收取收入失败: ${err.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Work out the upkeep an army costs each turn from its size, living heroes and active legions
+     * @param {Actor} army - The army actor
+     * @returns {Object<string, number>} Resource type to amount
+     */
+    static computeUpkeep(army) {
+        const { perSize, perHero, perLegion } = CONFIG.BATTLEFIELD.upkeep;
+        const heroes = army.system.getHeroes().filter(hero => !hero.system.isDead).length;
+        const legions = army.system.getActiveLegions().length;
+
+        const upkeep = {};
+        const add = (rates, count) => {
+            for (const [type, rate] of Object.entries(rates)) {
+                upkeep[type] = (upkeep[type] || 0) + rate * count;
+            }
+        };
+        add(perSize, army.system.size || 0);
+        add(perHero, heroes);
+        add(perLegion, legions);
+
+        for (const type of Object.keys(upkeep)) upkeep[type] = Math.ceil(upkeep[type]);
+        return upkeep;
+    }
+
+    /**
+     * Deduct the upkeep of every army from its faction's treasury and post an upkeep report
+     * An army is paid only if the treasury covers its whole upkeep; unpaid armies lose size and
+     * start deserting, and paid armies stop deserting.
+     * @returns {Promise<Array<Object>>} The upkeep paid and the losses suffered by each faction
+     */
+    static async payUpkeep() {
+        try {
+            if (!game.user.isGM) {
+                throw new Error('Only a GM can pay upkeep');
+            }
+
+            const { attritionRate, desertionStatus } = CONFIG.BATTLEFIELD.upkeep;
+            const destroyedStatus = CONFIG.BATTLEFIELD.battle.destroyedStatus;
+            const reports = [];
+            for (const faction of game.actors.filter(actor => actor.type === 'faction')) {
+                // Destroyed armies kept on record cost nothing
+                const armies = faction.getFactionMembers().armies.filter(army => army._source.system.size > 0
+                    && !army.items.some(item => item.type === 'status' && item.name === destroyedStatus));
+                if (!armies.length) continue;
+
+                const treasury = { ...faction.system.treasury };
+                const paid = [];
+                const unpaid = [];
+                for (const army of armies) {
+                    const upkeep = this.computeUpkeep(army);
+                    const affordable = Object.entries(upkeep).every(([type, amount]) => !amount || treasury[type] >= amount);
+
+                    if (affordable) {
+                        for (const [type, amount] of Object.entries(upkeep)) {
+                            if (type in treasury) treasury[type] -= amount;
+                        }
+                        const deserting = army.items.find(item => item.type === 'status' && item.name === desertionStatus);
+                        if (deserting) await deserting.delete();
+                        paid.push({ army, upkeep });
+                    } else {
+                        const size = army._source.system.size || 0;
+                        const loss = Math.ceil(size * attritionRate);
+                        await army.update({ 'system.size': size - loss });
+                        await army.addStatus(desertionStatus);
+                        unpaid.push({ army, upkeep, loss });
+                    }
+                }
+                await faction.update({ 'system.treasury': treasury });
+
+                reports.push({ faction, paid, unpaid, treasury });
+            }
+
+            if (reports.length) await this._postUpkeepReport(reports);
+            Hooks.callAll('battlefield-system.upkeepPaid', reports);
+
+            logger.debug(`Paid upkeep for ${reports.length} factions`);
+            return reports;
+        } catch (err) {
+            logger.error('Failed to pay upkeep:', err);
+            ui.notifications.error(`支付维持费失败: ${err.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Render the itemised income report to chat
+     * @param {Array<Object>} reports - The income credited to each faction
+     * @returns {Promise<ChatMessage>} The created chat message
+     * @private
+     */
+    static async _postIncomeReport(reports) {
+        const content = await renderTemplate(this.TEMPLATE, {
+            turn: CampaignClock.turn,
+            factions: reports.map(report => ({
+                name: report.faction.name,
+                img: report.faction.system.icon || report.faction.img,
+                total: this.formatResources(report.totals),
+                treasury: this.formatResources(report.treasury),
+                sources: report.sources.map(source => ({ name: source.name, production: this.formatResources(source.production) }))
+            }))
+        });
+
+        return ChatMessage.create({
+            speaker: ChatMessage.getSpeaker(),
+            content
+        });
+    }
+
+    /**
+     * Render the upkeep report to chat, listing the paid armies and the losses of unpaid ones
+     * @param {Array<Object>} reports - The upkeep paid by each faction
+     * @returns {Promise<ChatMessage>} The created chat message
+     * @private
+     */
+    static async _postUpkeepReport(reports) {
+        const content = await renderTemplate(this.UPKEEP_TEMPLATE, {
+            turn: CampaignClock.turn,
+            desertionStatus: CONFIG.BATTLEFIELD.upkeep.desertionStatus,
+            factions: reports.map(report => ({
+                name: report.faction.name,
+                img: report.faction.system.icon || report.faction.img,
+                treasury: this.formatResources(report.treasury),
+                paid: report.paid.map(({ army, upkeep }) => ({ name: army.name, upkeep: this.formatResources(upkeep) })),
+                unpaid: report.unpaid.map(({ army, upkeep, loss }) => ({ name: army.name, upkeep: this.formatResources(upkeep), loss }))
+            }))
+        });
+
+        return ChatMessage.create({
+            speaker: ChatMessage.getSpeaker(),
+            content
+        });
+    }
+}
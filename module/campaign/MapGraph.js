@@ -0,0 +1,466 @@
+/*
+ * MapGraph - Structures as nodes of a strategic map, and armies marching between them
+ */
+
+import logger from '../utils/Logger.js';
+
+export class MapGraph {
+    /**
+     * Get the first token of every structure placed on a scene
+     * @param {Scene} scene - The scene
+     * @returns {Map<string, TokenDocument>} Structure actor UUID to token
+     */
+    static getStructureTokens(scene) {
+        const tokens = new Map();
+        for (const token of scene?.tokens ?? []) {
+            const actor = token.actor;
+            if (actor?.isStructureActor() && !tokens.has(actor.uuid)) tokens.set(actor.uuid, token);
+        }
+        return tokens;
+    }
+
+    /**
+     * Get the centre of a token in canvas pixels
+     * @param {TokenDocument} token - The token
+     * @returns {{x: number, y: number}} The centre point
+     */
+    static getCenter(token) {
+        const size = token.parent.grid.size;
+        return {
+            x: token.x + (token.width * size) / 2,
+            y: token.y + (token.height * size) / 2
+        };
+    }
+
+    /**
+     * Check whether a point lies within the bounds of a token
+     * @param {TokenDocument} token - The token
+     * @param {{x: number, y: number}} point - The point in canvas pixels
+     * @returns {boolean} Whether the token covers the point
+     * @private
+     */
+    static _contains(token, { x, y }) {
+        const size = token.parent.grid.size;
+        return x >= token.x && x <= token.x + token.width * size
+            && y >= token.y && y <= token.y + token.height * size;
+    }
+
+    /**
+     * Read the links drawn on a scene
+     * A line or polygon drawing starting on one structure token and ending on another links them.
+     * @param {Scene} scene - The scene
+     * @returns {Array<Array<string>>} Pairs of linked structure UUIDs
+     */
+    static getDrawingLinks(scene) {
+        const tokens = Array.from(this.getStructureTokens(scene).values());
+        if (tokens.length < 2) return [];
+
+        const links = [];
+        for (const drawing of scene.drawings) {
+            const { type, points } = drawing.shape;
+            if (type !== CONST.DRAWING_TYPES.POLYGON || points.length < 4) continue;
+
+            const start = { x: drawing.x + points[0], y: drawing.y + points[1] };
+            const end = { x: drawing.x + points.at(-2), y: drawing.y + points.at(-1) };
+            const from = tokens.find(token => this._contains(token, start));
+            const to = tokens.find(token => this._contains(token, end));
+            if (from && to && from.actor !== to.actor) links.push([from.actor.uuid, to.actor.uuid]);
+        }
+        return links;
+    }
+
+    /**
+     * Build the adjacency graph from the structure sheets and the links drawn on a scene
+     * @param {Scene|null} [scene] - The scene whose drawings are read, defaults to the viewed scene
+     * @returns {Map<string, Set<string>>} Structure UUID to the UUIDs of its neighbours
+     */
+    static build(scene = canvas.scene) {
+        const graph = new Map();
+        const link = (a, b) => {
+            if (!graph.has(a)) graph.set(a, new Set());
+            if (!graph.has(b)) graph.set(b, new Set());
+            graph.get(a).add(b);
+            graph.get(b).add(a);
+        };
+
+        for (const structure of game.actors.filter(actor => actor.isStructureActor())) {
+            if (!graph.has(structure.uuid)) graph.set(structure.uuid, new Set());
+            for (const neighbour of structure.system.getNeighbours()) link(structure.uuid, neighbour.uuid);
+        }
+        if (scene) {
+            for (const [a, b] of this.getDrawingLinks(scene)) link(a, b);
+        }
+
+        return graph;
+    }
+
+    /**
+     * Get the structures adjacent to a structure
+     * @param {Actor} structure - The structure
+     * @param {Scene|null} [scene] - The scene whose drawings are read
+     * @returns {Array<Actor>} The neighbouring structures
+     */
+    static getNeighbours(structure, scene = canvas.scene) {
+        const uuids = this.build(scene).get(structure.uuid) ?? [];
+        return Array.from(uuids, uuid => fromUuidSync(uuid)).filter(Boolean);
+    }
+
+    /**
+     * Find the shortest path between two structures, each link counting as one step
+     * @param {Map<string, Set<string>>} graph - The adjacency graph
+     * @param {string} from - UUID of the starting structure
+     * @param {string} to - UUID of the destination
+     * @param {number} [maxSteps] - The most steps the path may take
+     * @param {Set<string>|Map<string, *>} [stops] - Structures the path may end at but not pass through
+     * @returns {Array<string>|null} The UUIDs along the path including both ends, or null if unreachable
+     */
+    static findPath(graph, from, to, maxSteps = Infinity, stops = new Set()) {
+        const previous = new Map([[from, null]]);
+        let frontier = [from];
+
+        for (let steps = 0; frontier.length && !previous.has(to) && steps < maxSteps; steps++) {
+            const next = [];
+            for (const node of frontier) {
+                if (node !== from && stops.has(node)) continue;
+                for (const neighbour of graph.get(node) ?? []) {
+                    if (previous.has(neighbour)) continue;
+                    previous.set(neighbour, node);
+                    next.push(neighbour);
+                }
+            }
+            frontier = next;
+        }
+
+        if (!previous.has(to)) return null;
+        const path = [];
+        for (let node = to; node; node = previous.get(node)) path.unshift(node);
+        return path;
+    }
+
+    /**
+     * Get every structure reachable from a structure within a number of steps
+     * @param {Map<string, Set<string>>} graph - The adjacency graph
+     * @param {string} from - UUID of the starting structure
+     * @param {number} maxSteps - The most steps allowed
+     * @param {Set<string>|Map<string, *>} [stops] - Structures that can be reached but not passed through
+     * @returns {Map<string, number>} Reachable structure UUIDs to their distance, excluding the start
+     */
+    static getReachable(graph, from, maxSteps, stops = new Set()) {
+        const distances = new Map([[from, 0]]);
+        let frontier = [from];
+
+        for (let steps = 1; frontier.length && steps <= maxSteps; steps++) {
+            const next = [];
+            for (const node of frontier) {
+                if (node !== from && stops.has(node)) continue;
+                for (const neighbour of graph.get(node) ?? []) {
+                    if (distances.has(neighbour)) continue;
+                    distances.set(neighbour, steps);
+                    next.push(neighbour);
+                }
+            }
+            frontier = next;
+        }
+
+        distances.delete(from);
+        return distances;
+    }
+
+    /**
+     * Check whether a structure is fortified enough to exert a zone of control
+     * @param {Actor} structure - The structure
+     * @returns {boolean} Whether the structure is fortified
+     */
+    static isFortified(structure) {
+        const defense = (structure.system.defenseValue || 0) + structure.system.garrisonDefense;
+        return defense >= CONFIG.BATTLEFIELD.zoneOfControl.fortifiedDefense;
+    }
+
+    /**
+     * Get the structures under the control of an army's enemies
+     * Enemy armies and fortified enemy structures control their own structure and every neighbour.
+     * @param {Actor} army - The marching army
+     * @param {Map<string, Set<string>>} graph - The adjacency graph
+     * @param {Scene|null} [scene] - The scene, defaults to the viewed scene
+     * @returns {Map<string, Array<Actor>>} Controlled structure UUIDs to the armies and structures controlling them
+     */
+    static getZonesOfControl(army, graph, scene = canvas.scene) {
+        const zones = new Map();
+        const enemies = army.getFaction()?.system.getEnemies() ?? [];
+        if (!enemies.length) return zones;
+
+        const control = (uuid, controller) => {
+            for (const node of [uuid, ...(graph.get(uuid) ?? [])]) {
+                if (!zones.has(node)) zones.set(node, []);
+                zones.get(node).push(controller);
+            }
+        };
+
+        for (const actor of game.actors) {
+            if (actor === army || !enemies.includes(actor.getFaction())) continue;
+            if (actor.isArmyActor()) {
+                const location = this.getLocation(actor, scene);
+                if (location && actor.system.size > 0) control(location.uuid, actor);
+            } else if (actor.isStructureActor() && this.isFortified(actor)) {
+                control(actor.uuid, actor);
+            }
+        }
+
+        return zones;
+    }
+
+    /**
+     * Get the token of an army on a scene
+     * @param {Actor} army - The army
+     * @param {Scene|null} [scene] - The scene, defaults to the viewed scene
+     * @returns {TokenDocument|null} The army's token
+     */
+    static getArmyToken(army, scene = canvas.scene) {
+        if (army.isToken) return army.token;
+        return scene?.tokens.find(token => token.actorId === army.id) ?? null;
+    }
+
+    /**
+     * Get the structure an army is located at
+     * Armies without a recorded location are placed at the structure token under their own token.
+     * @param {Actor} army - The army
+     * @param {Scene|null} [scene] - The scene, defaults to the viewed scene
+     * @returns {Actor|null} The structure
+     */
+    static getLocation(army, scene = canvas.scene) {
+        const location = army.system.getLocation();
+        if (location) return location;
+
+        const token = this.getArmyToken(army, scene);
+        if (!token) return null;
+        const center = this.getCenter(token);
+        const node = Array.from(this.getStructureTokens(scene).values()).find(node => this._contains(node, center));
+        return node?.actor ?? null;
+    }
+
+    /**
+     * Link two structures as neighbours in their sheets
+     * @param {Actor} structure - The structure whose sheet records the link
+     * @param {Actor} other - The neighbouring structure
+     * @returns {Promise<boolean>} Whether the link was added
+     */
+    static async link(structure, other) {
+        try {
+            if (!structure?.isStructureActor() || !other?.isStructureActor() || structure === other) {
+                throw new Error('Only two different structures can be linked');
+            }
+            if (structure.system.getNeighbours().includes(other)) return false;
+
+            await structure.update({ 'system.neighbours': [...structure.system.neighbours, other.uuid] });
+            logger.debug(`Linked ${structure.name} and ${other.name}`);
+            return true;
+        } catch (err) {
+            logger.error(`Failed to link ${structure?.name} and ${other?.name}:`, err);
+            ui.notifications.error(`无法连接地块: ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Remove the sheet link between two structures, whichever of them records it
+     * Links drawn on a scene are removed by deleting the drawing.
+     * @param {Actor} structure - The structure
+     * @param {Actor} other - The neighbouring structure
+     * @returns {Promise<boolean>} Whether the link was removed
+     */
+    static async unlink(structure, other) {
+        try {
+            for (const [actor, uuid] of [[structure, other.uuid], [other, structure.uuid]]) {
+                if (!actor.system.neighbours.includes(uuid)) continue;
+                if (!actor.isOwner) {
+                    throw new Error(`没有权限修改 ${actor.name}`);
+                }
+                await actor.update({ 'system.neighbours': actor.system.neighbours.filter(entry => entry !== uuid) });
+            }
+
+            logger.debug(`Unlinked ${structure.name} and ${other.name}`);
+            return true;
+        } catch (err) {
+            logger.error(`Failed to unlink ${structure?.name} and ${other?.name}:`, err);
+            ui.notifications.error(`无法断开地块: ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * March an army to a structure along the shortest path its remaining movement allows
+     * The march ends early, with no movement left, on entering an enemy zone of control.
+     * @param {Actor} army - The army
+     * @param {Actor} destination - The destination structure
+     * @param {Object} [options]
+     * @param {Scene} [options.scene] - The scene the army marches on, defaults to the viewed scene
+     * @returns {Promise<Array<Actor>|null>} The structures along the path taken, or null if the army could not march
+     */
+    static async move(army, destination, { scene = canvas.scene } = {}) {
+        try {
+            const start = this.getLocation(army, scene);
+            if (!start) {
+                throw new Error(`${army.name} 不在任何地块上`);
+            }
+
+            const movesLeft = army.system.movesLeft;
+            if (movesLeft < 1) {
+                throw new Error(`${army.name} 本回合没有剩余的移动距离，请先掷移动距离`);
+            }
+
+            // Route around enemy zones of control where possible, otherwise stop at the first one entered
+            const graph = this.build(scene);
+            const zones = this.getZonesOfControl(army, graph, scene);
+            let path = this.findPath(graph, start.uuid, destination.uuid, movesLeft, zones);
+            if (!path) {
+                path = this.findPath(graph, start.uuid, destination.uuid, movesLeft);
+                const entered = path?.findIndex((uuid, index) => index > 0 && zones.has(uuid)) ?? -1;
+                if (entered > 0) path = path.slice(0, entered + 1);
+            }
+            if (!path) {
+                throw new Error(`${destination.name} 不在 ${army.name} 的 ${movesLeft} 步行军范围之内`);
+            }
+
+            const steps = path.length - 1;
+            const structures = path.map(uuid => fromUuidSync(uuid));
+            const end = structures.at(-1);
+            const controllers = steps ? zones.get(end.uuid) ?? [] : [];
+            await this._animate(army, structures.slice(1), scene);
+
+            // Entering a zone of control ends the army's movement for the turn
+            const remaining = controllers.length ? 0 : movesLeft - steps;
+            const garrison = army.system.garrison;
+            await army.update({
+                'system.location': end.uuid,
+                'system.movesLeft': remaining,
+                // Marching off leaves the garrison
+                ...(garrison && garrison !== end.uuid ? { 'system.garrison': '' } : {})
+            });
+
+            const halt = controllers.length
+                ? `<p class="march-halted"><i class="fas fa-hand-paper"></i> 进入 ${controllers.map(actor => actor.name).join('、')} 的控制区，停止行军</p>`
+                : '';
+            await ChatMessage.create({
+                speaker: ChatMessage.getSpeaker({ actor: army }),
+                content: `<div class="battlefield-system march-report"><h3><i class="fas fa-route"></i> 行军</h3><p>${structures.map(structure => structure.name).join(' → ')}</p><p>${steps} 步，剩余移动距离 ${remaining}</p>${halt}</div>`
+            });
+
+            Hooks.callAll('battlefield-system.armyMoved', army, structures, controllers);
+            logger.debug(`Moved army ${army.name} to ${end.name} in ${steps} steps`);
+            return structures;
+        } catch (err) {
+            logger.error(`Failed to move army ${army?.name}:`, err);
+            ui.notifications.error(`无法行军: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Move the army's token through the tokens of the structures along its path
+     * @param {Actor} army - The army
+     * @param {Array<Actor>} structures - The structures after the start of the path
+     * @param {Scene} scene - The scene
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _animate(army, structures, scene) {
+        const token = this.getArmyToken(army, scene);
+        if (!token) return;
+
+        const nodes = this.getStructureTokens(scene);
+        const size = scene.grid.size;
+        const waypoints = structures
+            .map(structure => nodes.get(structure.uuid))
+            .filter(Boolean)
+            .map(node => {
+                const center = this.getCenter(node);
+                return {
+                    x: Math.round(center.x - (token.width * size) / 2),
+                    y: Math.round(center.y - (token.height * size) / 2)
+                };
+            });
+
+        if (waypoints.length) await token.move(waypoints);
+    }
+
+    /**
+     * Ask which reachable structure an army marches to, then move it
+     * @param {Actor} army - The army
+     * @returns {Promise<Array<Actor>|null>} The structures along the path
+     */
+    static async promptMove(army) {
+        const start = this.getLocation(army);
+        if (!start) {
+            ui.notifications.warn(`${army.name} 不在任何地块上，请先设置所在地块`);
+            return null;
+        }
+
+        const movesLeft = army.system.movesLeft;
+        if (movesLeft < 1) {
+            ui.notifications.warn(`${army.name} 本回合没有剩余的移动距离，请先掷移动距离`);
+            return null;
+        }
+
+        const graph = this.build();
+        const zones = this.getZonesOfControl(army, graph);
+        const reachable = Array.from(this.getReachable(graph, start.uuid, movesLeft, zones))
+            .map(([uuid, steps]) => ({ structure: fromUuidSync(uuid), steps, controlled: zones.has(uuid) }))
+            .filter(({ structure }) => structure)
+            .sort((a, b) => a.steps - b.steps || a.structure.name.localeCompare(b.structure.name));
+        if (!reachable.length) {
+            ui.notifications.warn(`${start.name} 没有相邻的地块`);
+            return null;
+        }
+
+        const options = reachable.map(({ structure, steps, controlled }) =>
+            `<option value="${structure.uuid}">${structure.name}（${steps} 步${controlled ? '，敌方控制区' : ''}）</option>`).join('');
+
+        const selected = await foundry.applications.api.DialogV2.prompt({
+            window: { title: `${army.name} - 行军` },
+            content: `
+                <p>当前位于 <strong>${start.name}</strong>，剩余移动距离 ${movesLeft}</p>
+                <div class="form-group"><label>目的地:</label><select name="destination">${options}</select></div>`,
+            ok: {
+                label: '行军',
+                icon: 'fas fa-route',
+                callback: (event, button) => button.form.elements.destination.value
+            },
+            rejectClose: false
+        });
+
+        if (!selected) return null;
+        return this.move(army, fromUuidSync(selected));
+    }
+
+    /**
+     * March the controlled army token to the targeted structure token
+     * @returns {Promise<Array<Actor>|null>} The structures along the path
+     */
+    static async moveFromTokens() {
+        const army = (canvas.tokens?.controlled ?? [])
+            .map(token => token.actor)
+            .find(actor => actor?.isArmyActor?.());
+        const structure = Array.from(game.user.targets)
+            .map(token => token.actor)
+            .find(actor => actor?.isStructureActor?.());
+
+        if (!army || !structure) {
+            ui.notifications.warn('请选中一支军队并将一座建筑设为目标');
+            return null;
+        }
+
+        return this.move(army, structure);
+    }
+
+    /**
+     * Clear the movement left to every army at the start of a campaign turn, allowing a new movement roll
+     * @returns {Promise<void>}
+     */
+    static async resetMovement() {
+        const armies = game.actors.filter(actor => actor.isArmyActor()
+            && (actor.system.movesLeft || actor.system.movementTurn !== null));
+        for (const army of armies) {
+            await army.update({ 'system.movesLeft': 0, 'system.movementTurn': null });
+        }
+    }
+}
@@ -0,0 +1,290 @@
+/*
+ * Mercenaries - Hiring out the armies of mercenary factions to other factions under contract
+ */
+
+import logger from '../utils/Logger.js';
+import { CampaignClock } from './CampaignClock.js';
+import { Diplomacy } from './Diplomacy.js';
+import { Economy } from './Economy.js';
+
+export class Mercenaries {
+    /**
+     * Check whether a faction is a mercenary faction that hires out its armies
+     * @param {Actor|null} faction - The faction
+     * @returns {boolean} Whether the faction is of the mercenary type
+     */
+    static isMercenary(faction) {
+        return faction?.system.factionType === CONFIG.BATTLEFIELD.mercenaries.factionType;
+    }
+
+    /**
+     * Get the armies recorded on a faction, including those serving another faction under contract
+     * @param {Actor} faction - The faction
+     * @returns {Array<Actor>} The armies
+     */
+    static getArmies(faction) {
+        return game.actors.filter(actor => actor.isArmyActor() && actor.getHomeFaction() === faction);
+    }
+
+    /**
+     * Get the armies currently serving under contract
+     * @returns {Array<Actor>} The contracted armies
+     */
+    static getContractedArmies() {
+        return game.actors.filter(actor => actor.isArmyActor() && actor.system.getEmployer());
+    }
+
+    /**
+     * Move a price from one faction's treasury to another's
+     * @param {Actor} payer - The paying faction
+     * @param {Actor} payee - The faction receiving the payment
+     * @param {Object<string, number>} price - Resource type to amount
+     * @returns {Promise<void>}
+     * @throws {Error} If the payer cannot afford the price
+     * @private
+     */
+    static async _transfer(payer, payee, price) {
+        const paying = { ...payer.system.treasury };
+        const receiving = { ...payee.system.treasury };
+        for (const [type, amount] of Object.entries(price)) {
+            if (!amount) continue;
+            if ((paying[type] ?? 0) < amount) {
+                throw new Error(`${payer.name} 的国库不足以支付 ${Economy.formatResources(price)}`);
+            }
+            paying[type] -= amount;
+            receiving[type] = (receiving[type] ?? 0) + amount;
+        }
+
+        await payer.update({ 'system.treasury': paying });
+        await payee.update({ 'system.treasury': receiving });
+    }
+
+    /**
+     * Hire a mercenary army out to another faction, paid up front from the employer's treasury
+     * The army serves the employer until the contract ends. Only a GM can sign contracts, since the
+     * payment changes the treasuries of two factions.
+     * @param {Actor} army - The mercenary army
+     * @param {Actor} employer - The hiring faction
+     * @param {Object} options
+     * @param {Object<string, number>} [options.price] - Resource type to amount paid for each contract period
+     * @param {number} options.duration - Number of turns in a contract period
+     * @param {boolean} [options.autoRenew] - Whether the contract renews when it runs out
+     * @returns {Promise<boolean>} Whether the army was hired
+     */
+    static async hire(army, employer, { price = {}, duration, autoRenew = false }) {
+        try {
+            if (!game.user.isGM) {
+                throw new Error('Only a GM can hire out mercenaries');
+            }
+
+            const faction = army.getHomeFaction();
+            if (!this.isMercenary(faction)) {
+                throw new Error(`${army.name} 不属于佣兵势力`);
+            }
+            if (army.system.getEmployer()) {
+                throw new Error(`${army.name} 已受雇于 ${army.system.getEmployer().name}`);
+            }
+            if (!employer?.isFactionActor() || employer === faction) {
+                throw new Error('A mercenary army can only be hired by another faction');
+            }
+            if (!Number.isInteger(duration) || duration < 1) {
+                throw new Error('合同期至少为 1 回合');
+            }
+
+            await this._transfer(employer, faction, price);
+            await army.update({
+                'system.contract': { employer: employer.uuid, price, startTurn: CampaignClock.turn, duration, autoRenew }
+            });
+
+            const cost = Economy.formatResources(price) || '无';
+            await this._postReport('佣兵受雇', [
+                `${employer.name} 雇佣了 ${faction.name} 的 ${army.name}，为期 ${duration} 回合${autoRenew ? '，到期自动续约' : ''}`,
+                `报酬: ${cost}`
+            ]);
+            await Diplomacy.recordDeed(employer, faction, `雇佣 ${army.name}（${duration} 回合，报酬 ${cost}）`);
+
+            Hooks.callAll('battlefield-system.mercenaryHired', army, employer);
+            logger.debug(`${employer.name} hired ${army.name} for ${duration} turns`);
+            return true;
+        } catch (err) {
+            logger.error(`Failed to hire ${army?.name} to ${employer?.name}:`, err);
+            ui.notifications.error(`无法雇佣佣兵: ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * End an army's contract, returning it to its mercenary faction
+     * @param {Actor} army - The contracted army
+     * @param {string} [reason] - Why the contract ended, shown in the report
+     * @param {Object} [options]
+     * @param {boolean} [options.report] - Whether to post the end of the contract to chat
+     * @returns {Promise<boolean>} Whether the contract was ended
+     */
+    static async end(army, reason = '提前解约', { report = true } = {}) {
+        try {
+            if (!game.user.isGM) {
+                throw new Error('Only a GM can end mercenary contracts');
+            }
+
+            const employer = army.system.getEmployer();
+            if (!employer) {
+                throw new Error(`${army.name} 没有佣兵合同`);
+            }
+
+            await army.update({ 'system.contract.employer': '' });
+
+            if (report) {
+                const faction = army.getHomeFaction();
+                await this._postReport('佣兵合同结束', [
+                    `${army.name} 结束了为 ${employer.name} 的服役（${reason}），回归 ${faction?.name ?? '原势力'}`
+                ]);
+                if (faction) await Diplomacy.recordDeed(employer, faction, `与 ${army.name} 的合同结束（${reason}）`);
+            }
+
+            Hooks.callAll('battlefield-system.mercenaryReleased', army, employer, reason);
+            logger.debug(`Ended the contract of ${army.name} with ${employer.name}: ${reason}`);
+            return true;
+        } catch (err) {
+            logger.error(`Failed to end the contract of ${army?.name}:`, err);
+            ui.notifications.error(`无法结束佣兵合同: ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Renew or end the contracts that run out on a campaign turn
+     * Contracts set to renew start a new period if the employer can pay the price again.
+     * @param {number} [turn] - The current campaign turn
+     * @returns {Promise<{renewed: Array<Actor>, ended: Array<Actor>}>} The armies whose contracts renewed or ended
+     */
+    static async processContracts(turn = CampaignClock.turn) {
+        const renewed = [];
+        const ended = [];
+        const lines = [];
+
+        for (const army of this.getContractedArmies()) {
+            const end = army.system.getContractEnd();
+            if (end > turn) continue;
+
+            const employer = army.system.getEmployer();
+            const faction = army.getHomeFaction();
+            const { price, duration, autoRenew } = army.system.contract;
+
+            if (autoRenew && faction) {
+                try {
+                    await this._transfer(employer, faction, price);
+                    await army.update({ 'system.contract.startTurn': turn });
+                    renewed.push(army);
+                    lines.push(`${army.name} 与 ${employer.name} 续约 ${duration} 回合，报酬 ${Economy.formatResources(price) || '无'}`);
+                    Hooks.callAll('battlefield-system.mercenaryRenewed', army, employer);
+                    continue;
+                } catch (err) {
+                    logger.warn(`Could not renew the contract of ${army.name}:`, err);
+                    lines.push(`${employer.name} 无力续约，${army.name} 离开`);
+                }
+            } else {
+                lines.push(`${army.name} 为 ${employer.name} 的合同到期，回归 ${faction?.name ?? '原势力'}`);
+            }
+
+            if (await this.end(army, '到期', { report: false })) ended.push(army);
+        }
+
+        if (lines.length) await this._postReport(`第 ${turn} 回合 佣兵合同`, lines);
+
+        logger.debug(`Processed mercenary contracts: ${renewed.length} renewed, ${ended.length} ended`);
+        return { renewed, ended };
+    }
+
+    /**
+     * Post a contract change to chat
+     * @param {string} title - The report title
+     * @param {Array<string>} lines - What happened
+     * @returns {Promise<ChatMessage>} The created chat message
+     * @private
+     */
+    static async _postReport(title, lines) {
+        return ChatMessage.create({
+            speaker: ChatMessage.getSpeaker(),
+            content: `<div class="battlefield-system contract-report"><h3><i class="fas fa-file-contract"></i> ${title}</h3>${lines.map(line => `<p>${line}</p>`).join('')}</div>`
+        });
+    }
+
+    /**
+     * Ask which faction hires a mercenary army, for what price and how long
+     * @param {Actor} army - The mercenary army
+     * @returns {Promise<boolean>} Whether the army was hired
+     */
+    static async promptHire(army) {
+        const faction = army.getHomeFaction();
+        const employers = Diplomacy.getFactions().filter(other => other !== faction);
+        if (!employers.length) {
+            ui.notifications.warn(`没有可以雇佣 ${army.name} 的势力`);
+            return false;
+        }
+
+        const options = employers.map(other => `<option value="${other.uuid}">${other.name}</option>`).join('');
+        const labels = Economy.getResourceLabels();
+        const { defaultDuration } = CONFIG.BATTLEFIELD.mercenaries;
+        const prices = Object.entries(labels).map(([type, label]) => `
+            <div class="form-group">
+                <label>${label}:</label>
+                <input name="price-${type}" type="number" min="0" value="0" />
+            </div>`).join('');
+
+        const contract = await foundry.applications.api.DialogV2.prompt({
+            window: { title: `${army.name} - 受雇` },
+            content: `
+                <p>报酬在签约与每次续约时从雇主国库转入 ${faction?.name ?? '佣兵势力'}。</p>
+                <div class="form-group">
+                    <label>雇主:</label>
+                    <select name="employer">${options}</select>
+                </div>
+                <div class="form-group">
+                    <label>合同回合:</label>
+                    <input name="duration" type="number" min="1" value="${defaultDuration}" />
+                </div>
+                ${prices}
+                <div class="form-group">
+                    <label>到期自动续约:</label>
+                    <input name="autoRenew" type="checkbox" />
+                </div>`,
+            ok: {
+                label: '签约',
+                icon: 'fas fa-file-signature',
+                callback: (event, button) => {
+                    const elements = button.form.elements;
+                    return {
+                        employer: elements.employer.value,
+                        duration: parseInt(elements.duration.value),
+                        autoRenew: elements.autoRenew.checked,
+                        price: Object.fromEntries(Object.keys(labels)
+                            .map(type => [type, Math.max(parseInt(elements[`price-${type}`].value) || 0, 0)]))
+                    };
+                }
+            },
+            rejectClose: false
+        });
+
+        if (!contract) return false;
+        return this.hire(army, fromUuidSync(contract.employer), contract);
+    }
+
+    /**
+     * Confirm ending an army's contract before it runs out
+     * The price already paid is not returned.
+     * @param {Actor} army - The contracted army
+     * @returns {Promise<boolean>} Whether the contract was ended
+     */
+    static async promptEnd(army) {
+        const employer = army.system.getEmployer();
+        if (!employer) return false;
+
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: `${army.name} - 解约` },
+            content: `<p>确定要结束 ${army.name} 为 ${employer.name} 的服役吗？已支付的报酬不予退还。</p>`,
+            rejectClose: false
+        });
+        return confirmed ? this.end(army) : false;
+    }
+}
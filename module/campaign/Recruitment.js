@@ -0,0 +1,204 @@
+/*
+ * Recruitment - Raising troops at structures with faction resources
+ */
+
+import logger from '../utils/Logger.js';
+import { CampaignClock } from './CampaignClock.js';
+import { Economy } from './Economy.js';
+import { MapGraph } from './MapGraph.js';
+
+export class Recruitment {
+    /**
+     * Get how much size a structure can still recruit this campaign turn
+     * @param {Actor} structure - The structure
+     * @returns {number} The remaining size, 0 if the structure cannot recruit
+     */
+    static getRemaining(structure) {
+        const config = structure.system.getRecruitment();
+        if (!config) return 0;
+
+        const { turn, recruited } = structure.system.recruitment;
+        return Math.max(config.cap - (turn === CampaignClock.turn ? recruited : 0), 0);
+    }
+
+    /**
+     * Work out what recruiting an amount of size costs
+     * @param {number} size - The size recruited
+     * @returns {Object<string, number>} Resource type to amount
+     */
+    static computeCost(size) {
+        return Object.fromEntries(Object.entries(CONFIG.BATTLEFIELD.recruitment.cost)
+            .map(([type, rate]) => [type, Math.ceil(rate * size)]));
+    }
+
+    /**
+     * Get the armies of a structure's faction stationed at it
+     * @param {Actor} structure - The structure
+     * @returns {Array<Actor>} The stationed armies
+     */
+    static getStationedArmies(structure) {
+        const faction = structure.getFaction();
+        if (!faction) return [];
+        return faction.getFactionMembers().armies.filter(army =>
+            army.system.garrison === structure.uuid || MapGraph.getLocation(army)?.uuid === structure.uuid);
+    }
+
+    /**
+     * Recruit troops at a structure, paid from its owning faction's treasury
+     * @param {Actor} structure - The recruiting structure
+     * @param {Object} options
+     * @param {number} options.size - The size recruited
+     * @param {Actor} [options.army] - A stationed army receiving the troops; a new army is mustered without one
+     * @param {string} [options.name] - Name of the new army
+     * @returns {Promise<Actor|null>} The army receiving the troops, or null if nothing was recruited
+     */
+    static async recruit(structure, { size, army = null, name = '' }) {
+        try {
+            const config = structure.system.getRecruitment();
+            if (!config) {
+                throw new Error(`${structure.name} 不能征兵`);
+            }
+
+            const faction = structure.getFaction();
+            if (!faction) {
+                throw new Error(`${structure.name} 不属于任何势力`);
+            }
+
+            const remaining = this.getRemaining(structure);
+            if (!Number.isInteger(size) || size < 1 || size > remaining) {
+                throw new Error(`${structure.name} 本回合还能征募 ${remaining}`);
+            }
+
+            if (army && !this.getStationedArmies(structure).includes(army)) {
+                throw new Error(`${army.name} 没有驻扎在 ${structure.name}`);
+            }
+            if (!army && !Actor.canUserCreate(game.user)) {
+                throw new Error('你没有创建新军队的权限，请补充给驻扎的军队');
+            }
+
+            const cost = this.computeCost(size);
+            const treasury = { ...faction.system.treasury };
+            for (const [type, amount] of Object.entries(cost)) {
+                if ((treasury[type] ?? 0) < amount) {
+                    throw new Error(`${faction.name} 的国库不足以支付 ${Economy.formatResources(cost)}`);
+                }
+                treasury[type] -= amount;
+            }
+
+            await faction.update({ 'system.treasury': treasury });
+            const turn = CampaignClock.turn;
+            await structure.update({
+                'system.recruitment': { turn, recruited: config.cap - remaining + size }
+            });
+
+            if (army) await army.update({ 'system.size': (army._source.system.size || 0) + size });
+            const recruits = army ?? await this._muster(structure, faction, size, name);
+
+            await ChatMessage.create({
+                speaker: ChatMessage.getSpeaker(),
+                content: `<div class="battlefield-system recruitment-report"><h3><i class="fas fa-user-plus"></i> 征兵</h3><p>${structure.name} 为 ${recruits.name} 征募了 ${size} 名士兵${army ? `，现有规模 ${recruits.system.size}` : '，组建新军'}</p><p>${faction.name} 支付 ${Economy.formatResources(cost)}</p></div>`
+            });
+
+            Hooks.callAll('battlefield-system.recruited', structure, recruits, size);
+            logger.debug(`Recruited ${size} at ${structure.name} for ${recruits.name}`);
+            return recruits;
+        } catch (err) {
+            logger.error(`Failed to recruit at ${structure?.name}:`, err);
+            ui.notifications.error(`无法征兵: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Muster a new army at a structure, with a token on the structure's token in the viewed scene
+     * The army belongs to the structure's faction and is owned by the faction's owners.
+     * @param {Actor} structure - The recruiting structure
+     * @param {Actor} faction - The owning faction
+     * @param {number} size - The army's size
+     * @param {string} [name] - The army's name
+     * @returns {Promise<Actor>} The new army
+     * @private
+     */
+    static async _muster(structure, faction, size, name) {
+        const army = await Actor.implementation.create({
+            name: name || `${structure.name}新军`,
+            type: 'army',
+            ownership: faction.toObject().ownership,
+            system: {
+                name: name || `${structure.name}新军`,
+                faction: faction.uuid,
+                size,
+                garrison: structure.uuid,
+                location: structure.uuid
+            }
+        });
+
+        const node = MapGraph.getStructureTokens(canvas.scene).get(structure.uuid);
+        if (node) {
+            const scene = node.parent;
+            const center = MapGraph.getCenter(node);
+            const data = await army.getTokenDocument({
+                x: Math.round(center.x - (army.prototypeToken.width * scene.grid.size) / 2),
+                y: Math.round(center.y - (army.prototypeToken.height * scene.grid.size) / 2)
+            });
+            await scene.createEmbeddedDocuments('Token', [data.toObject()]);
+        }
+
+        return army;
+    }
+
+    /**
+     * Ask how many troops to recruit at a structure and which stationed army receives them
+     * @param {Actor} structure - The recruiting structure
+     * @returns {Promise<Actor|null>} The army receiving the troops
+     */
+    static async promptRecruit(structure) {
+        const remaining = this.getRemaining(structure);
+        if (!remaining) {
+            ui.notifications.warn(`${structure.name} 本回合不能再征兵`);
+            return null;
+        }
+
+        const armies = this.getStationedArmies(structure);
+        const options = [
+            '<option value="">组建新军</option>',
+            ...armies.map(army => `<option value="${army.id}">${army.name}（规模 ${army.system.size || 0}）</option>`)
+        ].join('');
+        const rates = Economy.formatResources(this.computeCost(100));
+
+        const choice = await foundry.applications.api.DialogV2.prompt({
+            window: { title: `${structure.name} - 征兵` },
+            content: `
+                <p>本回合还能征募 ${remaining}，每 100 名士兵花费 ${rates}</p>
+                <div class="form-group">
+                    <label>征募规模:</label>
+                    <input name="size" type="number" min="1" max="${remaining}" value="${remaining}" />
+                </div>
+                <div class="form-group">
+                    <label>补充给:</label>
+                    <select name="army">${options}</select>
+                </div>
+                <div class="form-group">
+                    <label>新军名称:</label>
+                    <input name="name" type="text" placeholder="${structure.name}新军" />
+                </div>`,
+            ok: {
+                label: '征兵',
+                icon: 'fas fa-user-plus',
+                callback: (event, button) => ({
+                    size: parseInt(button.form.elements.size.value),
+                    army: button.form.elements.army.value,
+                    name: button.form.elements.name.value.trim()
+                })
+            },
+            rejectClose: false
+        });
+
+        if (!choice) return null;
+        return this.recruit(structure, {
+            size: choice.size,
+            army: choice.army ? game.actors.get(choice.army) : null,
+            name: choice.name
+        });
+    }
+}
@@ -0,0 +1,161 @@
+/*
+ * Relics - Relic Items changing hands between armies and structures, and the relic victory
+ */
+
+import logger from '../utils/Logger.js';
+import { CampaignClock } from './CampaignClock.js';
+
+export class Relics {
+    /**
+     * Path of the relic capture report chat template
+     * @type {string}
+     */
+    static TEMPLATE = 'systems/battlefield-system/templates/chat/relic-report.hbs';
+
+    /**
+     * Get the relics held by an army or stored in a structure
+     * @param {Actor} actor - The army or structure
+     * @returns {Array<Item>} The relic Items
+     */
+    static getRelics(actor) {
+        return actor?.items.filter(item => item.type === 'relic') ?? [];
+    }
+
+    /**
+     * Move a relic to an army or structure, or lose it in the Items directory
+     * Relics from a compendium, or from an actor the user cannot edit, are copied instead.
+     * @param {Item} relic - The relic to move
+     * @param {Actor|null} target - The army or structure receiving it, or null to lose it
+     * @param {string} [reason] - The entry recorded in the relic's history
+     * @returns {Promise<Item|null>} The relic at its new location, or null if it could not be moved
+     */
+    static async transfer(relic, target, reason) {
+        try {
+            if (target && !target.isArmyActor() && !target.isStructureActor()) {
+                throw new Error('Relics can only be held by armies or structures');
+            }
+            if ((relic.parent ?? null) === (target ?? null) && !relic.pack) return relic;
+
+            const data = relic.toObject();
+            data.system.history.push({
+                turn: CampaignClock.turn,
+                text: reason || (target ? `移至 ${target.name}` : `遗失于 ${relic.parent?.name ?? '未知之地'}`)
+            });
+            data.system.lostLocation = target ? '' : (data.system.lostLocation || relic.parent?.name || '');
+
+            const moved = target
+                ? (await target.createEmbeddedDocuments('Item', [data]))[0]
+                : await Item.implementation.create(data);
+
+            if (!relic.pack && relic.isOwner) {
+                await relic.delete();
+            } else if (!relic.pack) {
+                ui.notifications.warn(`没有权限移除遗物 ${relic.name}，已改为复制`);
+            }
+
+            logger.debug(`Moved relic ${relic.name} to ${target?.name ?? 'lost'}`);
+            return moved;
+        } catch (err) {
+            logger.error(`Failed to move relic ${relic?.name}:`, err);
+            ui.notifications.error(`无法移动遗物: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Move every relic of a fallen army or structure to its conqueror
+     * @param {Actor} from - The fallen army or structure
+     * @param {Actor} to - The victorious army
+     * @param {string} reason - The entry recorded in each relic's history
+     * @returns {Promise<Array<Object>>} Capture records {uuid, name, img, from, to}
+     */
+    static async captureAll(from, to, reason) {
+        const captured = [];
+        for (const relic of this.getRelics(from)) {
+            const moved = await this.transfer(relic, to, reason);
+            if (moved) captured.push({ uuid: moved.uuid, name: moved.name, img: moved.img, from: from.name, to: to.name });
+        }
+        return captured;
+    }
+
+    /**
+     * Capture the relics of armies beaten decisively in a battle
+     * @param {Object} result - The battle result from the chat card flags
+     * @returns {Promise<Array<Object>>} The captured relics
+     */
+    static async captureFromBattle(result) {
+        const winnerSide = result.sides.find(side => side.isWinner);
+        const winner = winnerSide ? fromUuidSync(winnerSide.actorUuid) : null;
+        if (!winner) return [];
+
+        const captured = [];
+        for (const side of result.sides) {
+            if (side.isWinner || winnerSide.total - side.total < CONFIG.BATTLEFIELD.relics.captureMargin) continue;
+
+            const loser = fromUuidSync(side.actorUuid);
+            if (!loser) continue;
+            captured.push(...await this.captureAll(loser, winner, `${winner.name} 在战斗中从 ${loser.name} 夺得`));
+        }
+
+        if (captured.length) await this._postCaptureReport(captured);
+        return captured;
+    }
+
+    /**
+     * Capture the relics stored in a structure that fell to an assault
+     * Only a structure that changes hands gives up its relics.
+     * @param {Object} result - The siege result from the chat card flags
+     * @returns {Promise<Array<Object>>} The captured relics
+     */
+    static async captureFromSiege(result) {
+        if (!result.captured) return [];
+
+        const army = fromUuidSync(result.attacker.actorUuid);
+        const structure = fromUuidSync(result.defender.actorUuid);
+        if (!army || !structure) return [];
+
+        const captured = await this.captureAll(structure, army, `${army.name} 攻破 ${structure.name} 时夺得`);
+        if (captured.length) await this._postCaptureReport(captured);
+        return captured;
+    }
+
+    /**
+     * Declare a relic victory when a faction holds the number of relics set in the system settings
+     * The victory is announced once; it can be announced again after the faction drops below the target.
+     * @returns {Promise<Actor|null>} The winning faction, or null if there is none
+     */
+    static async checkVictory() {
+        const target = game.settings.get(game.system.id, 'relicVictory');
+        if (!target || target < 1) return null;
+
+        const winner = game.actors.find(actor => actor.isFactionActor() && actor.system.getRelics().length >= target) ?? null;
+        const previous = game.settings.get(game.system.id, 'relicVictor');
+        if ((winner?.uuid ?? '') === previous) return winner;
+
+        await game.settings.set(game.system.id, 'relicVictor', winner?.uuid ?? '');
+        if (!winner) return null;
+
+        await ChatMessage.create({
+            speaker: ChatMessage.getSpeaker(),
+            content: `<div class="battlefield-system relic-victory"><h3><i class="fas fa-trophy"></i> 遗物胜利</h3><p>${winner.name} 集齐了 ${target} 件遗物，赢得了战役！</p></div>`
+        });
+        Hooks.callAll('battlefield-system.relicVictory', winner);
+
+        logger.log(`${winner.name} won a relic victory`);
+        return winner;
+    }
+
+    /**
+     * Post a chat report of captured relics
+     * @param {Array<Object>} captured - Capture records
+     * @returns {Promise<ChatMessage>} The created chat message
+     * @private
+     */
+    static async _postCaptureReport(captured) {
+        const content = await renderTemplate(this.TEMPLATE, { captured });
+        return ChatMessage.create({
+            speaker: ChatMessage.getSpeaker(),
+            content
+        });
+    }
+}
@@ -0,0 +1,113 @@
+/*
+ * ZoneOfControl - Defenders intercepting armies that march into their zone of control
+ */
+
+import logger from '../utils/Logger.js';
+import { BattleResolver } from '../battle/BattleResolver.js';
+
+export class ZoneOfControl {
+    /**
+     * Name of the query asking a defending user whether to intercept
+     * @type {string}
+     */
+    static QUERY = 'battlefield-system.intercept';
+
+    /**
+     * Get the armies able to intercept in a zone of control
+     * Armies garrisoned in a controlling structure defend it.
+     * @param {Array<Actor>} controllers - The armies and structures controlling the zone
+     * @returns {Array<Actor>} The armies that can intercept
+     */
+    static getInterceptors(controllers) {
+        const armies = controllers.flatMap(actor => actor.isStructureActor()
+            ? actor.system.getGarrisonedArmies()
+            : [actor]);
+        return [...new Set(armies)].filter(army => army.system.size > 0);
+    }
+
+    /**
+     * Get the user who decides for a defending army
+     * An active player owning the army decides, otherwise the active GM.
+     * @param {Actor} army - The defending army
+     * @returns {User|null} The deciding user
+     */
+    static getDefendingUser(army) {
+        return game.users.find(user => user.active && !user.isGM && army.testUserPermission(user, 'OWNER'))
+            ?? game.users.activeGM;
+    }
+
+    /**
+     * Offer the defenders of a zone of control the chance to intercept an army that entered it
+     * Each defending user is asked in turn; the first to intercept attacks the army.
+     * @param {Actor} army - The army that entered the zone
+     * @param {Actor} structure - The structure where the army stopped
+     * @param {Array<Actor>} controllers - The armies and structures controlling the zone
+     * @returns {Promise<Object|null>} The battle result, or null if nobody intercepted
+     */
+    static async offerInterception(army, structure, controllers) {
+        const byUser = new Map();
+        for (const interceptor of this.getInterceptors(controllers)) {
+            const user = this.getDefendingUser(interceptor);
+            if (!user) continue;
+            if (!byUser.has(user)) byUser.set(user, []);
+            byUser.get(user).push(interceptor.uuid);
+        }
+
+        for (const [user, interceptors] of byUser) {
+            const data = { army: army.uuid, structure: structure.uuid, interceptors };
+            let response = null;
+            try {
+                response = user.isSelf
+                    ? await this.handleQuery(data)
+                    : await user.query(this.QUERY, data, { timeout: CONFIG.BATTLEFIELD.zoneOfControl.queryTimeout });
+            } catch (err) {
+                logger.warn(`No interception answer from ${user.name}:`, err);
+                continue;
+            }
+
+            const interceptor = response?.interceptor ? fromUuidSync(response.interceptor) : null;
+            if (!interceptor || !interceptors.includes(interceptor.uuid)) continue;
+
+            Hooks.callAll('battlefield-system.armyIntercepted', interceptor, army, structure);
+            logger.debug(`${interceptor.name} intercepted ${army.name} at ${structure.name}`);
+            return BattleResolver.resolve([interceptor, army]);
+        }
+
+        return null;
+    }
+
+    /**
+     * Ask the defending user whether one of their armies intercepts
+     * Registered in `CONFIG.queries` so other clients can ask through `User#query`.
+     * @param {Object} data - The query data
+     * @param {string} data.army - UUID of the army that entered the zone
+     * @param {string} data.structure - UUID of the structure where it stopped
+     * @param {Array<string>} data.interceptors - UUIDs of the armies that can intercept
+     * @returns {Promise<{interceptor: string|null}>} The intercepting army's UUID, or null to let the army pass
+     */
+    static async handleQuery({ army, structure, interceptors }) {
+        const intruder = fromUuidSync(army);
+        const location = fromUuidSync(structure);
+        const options = interceptors
+            .map(uuid => fromUuidSync(uuid))
+            .filter(actor => actor)
+            .map(actor => `<option value="${actor.uuid}">${actor.name}（规模 ${actor.system.size}）</option>`)
+            .join('');
+        if (!intruder || !options) return { interceptor: null };
+
+        const interceptor = await foundry.applications.api.DialogV2.prompt({
+            window: { title: `拦截 - ${intruder.name}` },
+            content: `
+                <p><strong>${intruder.name}</strong>（规模 ${intruder.system.size}）进入了你在 <strong>${location?.name ?? '未知地块'}</strong> 的控制区。</p>
+                <div class="form-group"><label>拦截部队:</label><select name="interceptor">${options}</select></div>`,
+            ok: {
+                label: '拦截并开战',
+                icon: 'fas fa-swords',
+                callback: (event, button) => button.form.elements.interceptor.value
+            },
+            rejectClose: false
+        });
+
+        return { interceptor: interceptor ?? null };
+    }
+}
@@ -0,0 +1,32 @@
+/*
+ * World compendiums created by Battlefield System
+ */
+
+import logger from './utils/Logger.js';
+import { COMMON_EQUIPMENT } from './data/common-equipment.js';
+
+/**
+ * Create the world compendium of common magic items and mounts if it does not exist yet
+ * Only the active GM creates it; a compendium the group has edited or emptied is left alone.
+ * @returns {Promise<CompendiumCollection|null>} The compendium
+ */
+export async function ensureCommonEquipmentPack() {
+    const { packName, packLabel } = CONFIG.BATTLEFIELD.equipment;
+    const existing = game.packs.get(`world.${packName}`);
+    if (existing || !game.users.activeGM?.isSelf) return existing ?? null;
+
+    try {
+        const pack = await foundry.documents.collections.CompendiumCollection.createCompendium({
+            type: 'Item',
+            name: packName,
+            label: packLabel
+        });
+        await Item.implementation.createDocuments(COMMON_EQUIPMENT, { pack: pack.collection });
+
+        logger.log(`Created compendium ${pack.collection} with ${COMMON_EQUIPMENT.length} items`);
+        return pack;
+    } catch (err) {
+        logger.error('Failed to create the common equipment compendium:', err);
+        return null;
+    }
+}
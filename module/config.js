@@ -0,0 +1,283 @@
+/*
+ * System configuration for Battlefield System
+ * Exposed as CONFIG.BATTLEFIELD so worlds and modules can tune the rules
+ */
+
+export const BATTLEFIELD = {
+    /**
+     * 战斗结算参数
+     */
+    battle: {
+        // 每一方的掷骰公式
+        formula: '1d20 + @powerRating + @sizeBonus + @legionBonus',
+
+        // 每多少规模提供 +1 加值
+        sizePerBonus: 100,
+
+        // 每个激活的传奇军团提供的加值（另加军团自身的实力加值）
+        legionBonus: 2,
+
+        // 败方每点差值损失的规模比例
+        loserCasualtiesPerMargin: 0.02,
+
+        // 败方单场最大损失比例
+        maxLoserCasualties: 0.5,
+
+        // 胜方（或平局双方）损失的规模比例
+        winnerCasualties: 0.05,
+
+        // 规模降为零且保留记录时施加给军队的状态
+        destroyedStatus: '覆灭'
+    },
+
+    /**
+     * 攻城结算参数
+     */
+    siege: {
+        // 进攻方掷骰公式
+        attackerFormula: '1d20 + @powerRating + @sizeBonus + @legionBonus',
+
+        // 防守方掷骰公式（@garrisonBonus 为驻军传奇军团的防御加值）
+        defenderFormula: '1d20 + @defenseValue + @garrisonBonus',
+
+        // 攻城成功时进攻方损失的规模比例
+        attackerCasualtiesOnSuccess: 0.05,
+
+        // 攻城失败时进攻方损失的规模比例
+        attackerCasualtiesOnFailure: 0.15,
+
+        // 攻城失败时施加给进攻方的状态名称
+        repulsedStatus: '击退'
+    },
+
+    /**
+     * 战役时钟参数
+     */
+    campaign: {
+        // 季节（阶段）的本地化键，按顺序循环
+        seasons: [
+            'battlefield-system.Campaign.Seasons.Spring',
+            'battlefield-system.Campaign.Seasons.Summer',
+            'battlefield-system.Campaign.Seasons.Autumn',
+            'battlefield-system.Campaign.Seasons.Winter'
+        ],
+
+        // 每个季节包含的回合数
+        turnsPerSeason: 1
+    },
+
+    /**
+     * 资源类型：本地化标签、图标，以及迁移旧版文本产出时识别的别名
+     */
+    resourceTypes: {
+        gold: {
+            label: 'battlefield-system.Resources.Gold',
+            icon: 'fas fa-coins',
+            aliases: ['gold', '金币', '金钱', '金']
+        },
+        food: {
+            label: 'battlefield-system.Resources.Food',
+            icon: 'fas fa-wheat-awn',
+            aliases: ['food', '粮食', '食物', '粮']
+        },
+        wood: {
+            label: 'battlefield-system.Resources.Wood',
+            icon: 'fas fa-tree',
+            aliases: ['wood', '木材', '木头', '木']
+        },
+        stone: {
+            label: 'battlefield-system.Resources.Stone',
+            icon: 'fas fa-cubes-stacked',
+            aliases: ['stone', '石料', '石头', '石']
+        },
+        iron: {
+            label: 'battlefield-system.Resources.Iron',
+            icon: 'fas fa-hammer',
+            aliases: ['iron', '铁矿', '铁']
+        }
+    },
+
+    /**
+     * 军队维持费与欠饷减员
+     */
+    upkeep: {
+        // 每单位规模的维持费，各资源合计后向上取整
+        perSize: { gold: 0.01, food: 0.02 },
+
+        // 每位存活英雄的维持费
+        perHero: { gold: 5 },
+
+        // 每个仍在作战的传奇军团的维持费
+        perLegion: { gold: 10 },
+
+        // 未付清维持费时损失的规模比例（向上取整）
+        attritionRate: 0.1,
+
+        // 未付清维持费时施加的状态，付清后移除
+        desertionStatus: '逃亡'
+    },
+
+    /**
+     * 在建筑中征兵
+     */
+    recruitment: {
+        // 可征兵的建筑类型，按建筑类型文本的别名识别；cap 为每回合可征募的规模上限
+        buildings: {
+            barracks: { label: '兵营', cap: 200, aliases: ['barracks', '兵营', '军营'] },
+            keep: { label: '城堡', cap: 300, aliases: ['keep', 'castle', '城堡', '要塞', '堡垒'] },
+            town: { label: '城镇', cap: 100, aliases: ['town', 'city', '城镇', '城市'] }
+        },
+
+        // 每单位规模的征兵费用，各资源合计后向上取整
+        cost: { gold: 0.2, food: 0.1 }
+    },
+
+    /**
+     * 佣兵合同
+     */
+    mercenaries: {
+        // 可以出租军队的势力类型
+        factionType: '佣兵',
+
+        // 签约对话框中默认的合同回合数
+        defaultDuration: 3
+    },
+
+    /**
+     * 传奇军团的数值加值及其显示名称
+     */
+    legionBonuses: {
+        powerRating: '实力',
+        movement: '移动',
+        defense: '驻防防御'
+    },
+
+    /**
+     * 势力之间的外交立场与条约
+     */
+    diplomacy: {
+        stances: {
+            ally: { label: '盟友', icon: 'fas fa-handshake' },
+            neutral: { label: '中立', icon: 'fas fa-minus' },
+            enemy: { label: '仇敌', icon: 'fas fa-skull-crossbones' }
+        },
+
+        // 条约类型
+        treatyTypes: {
+            nonAggression: { label: '互不侵犯条约', icon: 'fas fa-dove' },
+            trade: { label: '贸易协定', icon: 'fas fa-scale-balanced' },
+            vassalage: { label: '附庸条约', icon: 'fas fa-crown' }
+        },
+
+        // 违约惩罚为"状态"时施加给进攻军队的状态名称
+        breachStatus: '背信',
+
+        // 违约惩罚为"赔款"时背约方支付给受害方的资源
+        breachReparations: { gold: 50 }
+    },
+
+    /**
+     * 控制区
+     */
+    zoneOfControl: {
+        // 防御值（含驻军加值）达到此值的敌方建筑对相邻地块施加控制
+        fortifiedDefense: 5,
+
+        // 等待防守方回应拦截询问的时间（毫秒）
+        queryTimeout: 60000
+    },
+
+    /**
+     * 遗物
+     */
+    relics: {
+        // 战斗中败方与胜方的差值达到此值时，败方军队持有的遗物被胜方夺取
+        captureMargin: 5
+    },
+
+    /**
+     * 英雄属性及其显示名称
+     */
+    heroAttributes: {
+        command: '统帅',
+        prowess: '武勇',
+        cunning: '谋略'
+    },
+
+    /**
+     * 英雄装备（魔法物品与坐骑）
+     * 每位英雄可携带的魔法物品数量在系统设置中配置
+     */
+    equipment: {
+        // 每位英雄最多拥有的坐骑数量
+        maxMounts: 1,
+
+        // 常用物品合集包的名称与标题，首次加载世界时创建
+        packName: 'common-equipment',
+        packLabel: '常用魔法物品与坐骑'
+    },
+
+    /**
+     * 英雄战后伤势
+     * 默认伤势表在首次加载世界时依此创建；每个结果的 outcome 决定对英雄的影响：
+     * unharmed 不记录，injured 仅记录伤势，outOfAction 休养 turns 个回合，dead 阵亡
+     */
+    injuries: {
+        tableName: '英雄伤势表',
+        formula: '1d10',
+        results: [
+            { range: [1, 1], name: '阵亡', description: '英雄战死沙场', outcome: 'dead' },
+            { range: [2, 2], name: '重伤', description: '英雄身负重伤，需休养 3 回合', outcome: 'outOfAction', turns: 3 },
+            { range: [3, 4], name: '负伤', description: '英雄负伤，需休养 1 回合', outcome: 'outOfAction', turns: 1 },
+            { range: [5, 6], name: '留下伤疤', description: '一道显眼的伤疤，但无碍作战', outcome: 'injured' },
+            { range: [7, 10], name: '毫发无伤', description: '英雄安然无恙', outcome: 'unharmed' }
+        ]
+    },
+
+    /**
+     * 战役事件牌堆
+     * 每张事件牌指定目标类型（faction、army 或 structure）、持续回合数和效果：
+     * - { type: 'status', status }：施加状态，status 为预设状态 id 或自定义状态名称（目标为势力时作用于其全部军队）
+     * - { type: 'size', value }：改变军队规模（目标为势力时作用于其全部军队）
+     * - { type: 'resource', resource, value }：改变国库资源（目标为军队或建筑时作用于其所属势力）
+     */
+    events: {
+        tableName: '战役事件牌堆',
+        cards: [
+            { name: '瘟疫', description: '军中爆发瘟疫，士卒病倒', target: 'army', duration: 2, effects: [{ type: 'size', value: -100 }, { type: 'status', status: 'weakness' }] },
+            { name: '援军抵达', description: '一支援军赶来会合', target: 'army', duration: null, effects: [{ type: 'size', value: 150 }] },
+            { name: '士气高涨', description: '将士求战心切', target: 'army', duration: 2, effects: [{ type: 'status', status: 'strength' }] },
+            { name: '暴雨', description: '连日暴雨，道路泥泞', target: 'army', duration: 1, effects: [{ type: 'status', status: 'slow' }] },
+            { name: '城墙失修', description: '城墙年久失修，出现缺口', target: 'structure', duration: 2, effects: [{ type: 'status', status: 'vulnerable' }] },
+            { name: '发现矿脉', description: '领地中发现了新的铁矿', target: 'structure', duration: null, effects: [{ type: 'resource', resource: 'iron', value: 20 }] },
+            { name: '丰收', description: '风调雨顺，粮仓充盈', target: 'faction', duration: null, effects: [{ type: 'resource', resource: 'food', value: 30 }] },
+            { name: '商队到访', description: '远方的商队带来了财富', target: 'faction', duration: null, effects: [{ type: 'resource', resource: 'gold', value: 40 }] }
+        ]
+    },
+
+    /**
+     * 状态修正可以作用的数据字段，按角色类型分组
+     */
+    statusChangeKeys: {
+        army: {
+            'system.powerRating': '实力评级',
+            'system.size': '军队规模',
+            'system.movement.bonus': '移动加值',
+            'system.movement.multiplier': '移动倍率'
+        },
+        structure: {
+            'system.defenseValue': '防御值'
+        }
+    },
+
+    /**
+     * 状态修正的计算方式
+     */
+    statusChangeModes: {
+        [CONST.ACTIVE_EFFECT_MODES.ADD]: '加值',
+        [CONST.ACTIVE_EFFECT_MODES.MULTIPLY]: '乘数',
+        [CONST.ACTIVE_EFFECT_MODES.OVERRIDE]: '覆盖',
+        [CONST.ACTIVE_EFFECT_MODES.UPGRADE]: '至少为',
+        [CONST.ACTIVE_EFFECT_MODES.DOWNGRADE]: '至多为'
+    }
+};
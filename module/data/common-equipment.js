@@ -0,0 +1,117 @@
+/*
+ * Common magic items and mounts seeded into the world compendium
+ */
+
+const { ADD } = CONST.ACTIVE_EFFECT_MODES;
+
+export const COMMON_EQUIPMENT = [
+    // 魔法物品
+    {
+        name: '力量之剑',
+        type: 'magicItem',
+        img: 'icons/svg/sword.svg',
+        system: {
+            points: 25,
+            rules: '持有者所在的军队实力 +2。',
+            changes: [{ key: 'system.powerRating', mode: ADD, value: '2' }]
+        }
+    },
+    {
+        name: '战争号角',
+        type: 'magicItem',
+        img: 'icons/svg/sound.svg',
+        system: {
+            points: 30,
+            rules: '号角声鼓舞全军，持有者所在的军队实力 +3。',
+            changes: [{ key: 'system.powerRating', mode: ADD, value: '3' }]
+        }
+    },
+    {
+        name: '疾行之靴',
+        type: 'magicItem',
+        img: 'icons/svg/wing.svg',
+        system: {
+            points: 15,
+            rules: '持有者所在的军队移动距离 +1。',
+            changes: [{ key: 'system.movement.bonus', mode: ADD, value: '1' }]
+        }
+    },
+    {
+        name: '守护护符',
+        type: 'magicItem',
+        img: 'icons/svg/shield.svg',
+        system: {
+            points: 20,
+            rules: '持有者在战后伤势掷骰中可以重掷一次。',
+            changes: []
+        }
+    },
+    {
+        name: '治疗药剂',
+        type: 'magicItem',
+        img: 'icons/svg/heal.svg',
+        system: {
+            points: 10,
+            rules: '一次性物品：使用后持有者的休养时间减少 1 回合。',
+            changes: []
+        }
+    },
+    {
+        name: '先知法典',
+        type: 'magicItem',
+        img: 'icons/svg/book.svg',
+        system: {
+            points: 25,
+            rules: '每个战役回合一次，持有者可以查看一支敌军的规模与状态。',
+            changes: []
+        }
+    },
+
+    // 坐骑
+    {
+        name: '战马',
+        type: 'mount',
+        img: 'icons/svg/pawprint.svg',
+        system: {
+            points: 10,
+            rules: '持有者所在的军队移动距离 +1。',
+            changes: [{ key: 'system.movement.bonus', mode: ADD, value: '1' }]
+        }
+    },
+    {
+        name: '战象',
+        type: 'mount',
+        img: 'icons/svg/pawprint.svg',
+        system: {
+            points: 35,
+            rules: '持有者所在的军队实力 +2。',
+            changes: [{ key: 'system.powerRating', mode: ADD, value: '2' }]
+        }
+    },
+    {
+        name: '狮鹫',
+        type: 'mount',
+        img: 'icons/svg/wing.svg',
+        system: {
+            points: 40,
+            rules: '持有者所在的军队实力 +1，移动距离 +2。',
+            changes: [
+                { key: 'system.powerRating', mode: ADD, value: '1' },
+                { key: 'system.movement.bonus', mode: ADD, value: '2' }
+            ]
+        }
+    },
+    {
+        name: '巨龙',
+        type: 'mount',
+        img: 'icons/svg/fire.svg',
+        system: {
+            points: 100,
+            rules: '持有者所在的军队实力 +5，移动距离 +2。',
+            changes: [
+                { key: 'system.powerRating', mode: ADD, value: '5' },
+                { key: 'system.movement.bonus', mode: ADD, value: '2' }
+            ]
+        }
+    }
+];
@@ -3,6 +3,7 @@
  */
 
 import logger from '../utils/Logger.js';
+import BattlefieldUtils from '../../lib/utils.js';
 
 export const BattlefieldActorTypes = ['army', 'structure'];
 
@@ -19,6 +20,48 @@ export default class BattlefieldActor extends Actor {
         return !!actor && actor instanceof BattlefieldActor && actor.type === 'structure';
     }
 
+    static isFactionActor(actor) {
+        return !!actor && actor instanceof BattlefieldActor && actor.type === 'faction';
+    }
+
+    /**
+     * Resolve a faction reference to a Faction actor
+     * References are Actor UUIDs; legacy free-text names are matched against faction names.
+     * @param {string} reference - The stored faction reference
+     * @returns {Actor|null} The referenced faction actor
+     */
+    static resolveFaction(reference) {
+        if (!reference) return null;
+        
+        if (reference.startsWith('Actor.')) {
+            const actor = fromUuidSync(reference);
+            return BattlefieldActor.isFactionActor(actor) ? actor : null;
+        }
+        
+        return game.actors?.find(actor => BattlefieldActor.isFactionActor(actor) && actor.name === reference) ?? null;
+    }
+
+    /**
+     * Get the selectable factions for ownership dropdowns
+     * @returns {Object<string, string>} Faction UUIDs mapped to their names
+     */
+    static getFactionChoices() {
+        return Object.fromEntries(game.actors
+            .filter(actor => BattlefieldActor.isFactionActor(actor))
+            .map(actor => [actor.uuid, actor.name]));
+    }
+
+    /**
+     * Get every world actor together with the synthetic actors of unlinked tokens in all scenes
+     * @returns {Array<Actor>} The actors
+     */
+    static getAllActors() {
+        const synthetic = Array.from(game.scenes).flatMap(scene => scene.tokens
+            .filter(token => !token.actorLink && token.actor)
+            .map(token => token.actor));
+        return [...game.actors, ...synthetic];
+    }
+
     isArmyActor() {
         return BattlefieldActor.isArmyActor(this);
     }
@@ -27,6 +70,37 @@ export default class BattlefieldActor extends Actor {
         return BattlefieldActor.isStructureActor(this);
     }
 
+    isFactionActor() {
+        return BattlefieldActor.isFactionActor(this);
+    }
+
+    /**
+     * The stored reference to the faction this actor belongs to
+     * @type {string}
+     */
+    get factionReference() {
+        if (this.isArmyActor()) return this.system.faction || '';
+        if (this.isStructureActor()) return this.system.ownerFaction || '';
+        return '';
+    }
+
+    /**
+     * Get the Faction actor that this army or structure belongs to
+     * A mercenary army under contract serves its employer until the contract ends.
+     * @returns {Actor|null} The faction actor, or null if unassigned or not found
+     */
+    getFaction() {
+        return (this.isArmyActor() ? this.system.getEmployer() : null) ?? this.getHomeFaction();
+    }
+
+    /**
+     * Get the Faction actor recorded on this army or structure, ignoring any mercenary contract
+     * @returns {Actor|null} The faction actor, or null if unassigned or not found
+     */
+    getHomeFaction() {
+        return BattlefieldActor.resolveFaction(this.factionReference);
+    }
+
     /**
      * @override
      * @ignore
@@ -40,19 +114,44 @@ export default class BattlefieldActor extends Actor {
         }
     }
 
+    /**
+     * Get the armies and structures that belong to this faction
+     * @returns {{armies: Array<Actor>, structures: Array<Actor>}} The faction's members
+     */
+    getFactionMembers() {
+        const members = { armies: [], structures: [] };
+        if (!this.isFactionActor() || !game.actors) return members;
+        
+        for (const actor of game.actors) {
+            if (actor.getFaction() !== this) continue;
+            if (actor.isArmyActor()) members.armies.push(actor);
+            else if (actor.isStructureActor()) members.structures.push(actor);
+        }
+        
+        return members;
+    }
+
     /**
      * Add a status as an Item to the actor
      * @param {string} statusName - The name of the status
+     * @param {Object} [options] - Additional options
+     * @param {string} [options.statusId] - The id of the preset status (token condition) to create
      * @returns {Promise<Item>} The created Item
      */
-    async addStatus(statusName) {
+    async addStatus(statusName, { statusId } = {}) {
         if (!statusName || typeof statusName !== 'string' || statusName.trim() === '') {
             logger.error('Invalid status name provided');
             throw new Error('Invalid status name provided');
         }
         
+        // Preset statuses start with their icon and default numeric changes
+        const preset = statusId
+            ? BattlefieldUtils.getStatusEffects()[statusId]
+            : BattlefieldUtils.findStatusPreset(statusName);
+        
         // Check if the status already exists
-        const existing = this.items.find(item => item.type === 'status' && item.name === statusName);
+        const existing = this.items.find(item => item.type === 'status'
+            && (item.name === statusName || (preset && item.system.statusId === preset.id)));
         
         if (existing) {
             logger.debug(`Status "${statusName}" already exists on actor ${this.name}`);
@@ -63,12 +162,14 @@ export default class BattlefieldActor extends Actor {
         const statusItem = await this.createEmbeddedDocuments('Item', [{
             name: statusName,
             type: 'status',
-            img: 'icons/svg/hazard.svg',
+            img: preset?.icon || 'icons/svg/hazard.svg',
             system: {
                 description: '',
                 duration: null,
                 isActive: true,
-                source: this.uuid
+                source: this.uuid,
+                statusId: preset?.id || '',
+                changes: preset?.changes || []
             },
             flags: {
                 'battlefield-system': {
@@ -99,6 +200,38 @@ export default class BattlefieldActor extends Actor {
         return [statusItem];
     }
 
+    /**
+     * Toggle a preset status from the Token HUD by creating or removing its status Item
+     * @override
+     * @param {string} statusId - The id of the status effect
+     * @param {Object} [options] - Additional options
+     * @param {boolean} [options.active] - Force the status on or off instead of toggling it
+     * @returns {Promise<boolean|ActiveEffect|undefined>} Whether the status is now active
+     */
+    async toggleStatusEffect(statusId, { active, overlay = false } = {}) {
+        const preset = BattlefieldUtils.getStatusEffects()[statusId];
+        if (!preset) {
+            return super.toggleStatusEffect(statusId, { active, overlay });
+        }
+        
+        const existing = this.getStatusItems().filter(item => item.system.statusId === statusId);
+        active ??= !existing.some(item => item.system.isActive);
+        
+        if (active) {
+            if (existing.length) {
+                await this.updateEmbeddedDocuments('Item', existing.map(item => ({ _id: item.id, 'system.isActive': true })));
+            } else {
+                await this.addStatus(preset.label, { statusId });
+            }
+            return true;
+        }
+        
+        for (const item of existing) {
+            await this.removeStatus(item.id);
+        }
+        return false;
+    }
+
     /**
      * Get all status Items on the actor
      * @returns {Array<Item>} Array of status Items
@@ -107,6 +240,71 @@ export default class BattlefieldActor extends Actor {
         return this.items.filter(item => item.type === 'status');
     }
 
+    /**
+     * Count down the duration of all status Items on the actor
+     * Statuses that reach zero are disabled or deleted, depending on the statusExpiry setting,
+     * and the actor's owners are notified in chat.
+     * @param {string} unit - The duration unit to count down: 'rounds', 'turns' or 'seconds'
+     * @param {number} [amount=1] - How much to count down by
+     * @returns {Promise<Array<Item>>} The status Items that expired
+     */
+    async tickStatusDurations(unit, amount = 1) {
+        const updates = [];
+        const expired = [];
+        
+        for (const item of this.getStatusItems()) {
+            const remaining = item.system.duration?.[unit];
+            if (!Number.isFinite(remaining) || !item.system.isActive) continue;
+            
+            const duration = { ...item.system.duration, [unit]: Math.max(remaining - amount, 0) };
+            if (duration[unit] > 0) {
+                updates.push({ _id: item.id, 'system.duration': duration });
+            } else {
+                expired.push(item);
+            }
+        }
+        
+        if (updates.length) {
+            await this.updateEmbeddedDocuments('Item', updates);
+        }
+        
+        if (expired.length) {
+            await this._expireStatuses(expired, unit);
+        }
+        
+        return expired;
+    }
+
+    /**
+     * Disable or delete expired status Items and notify the actor's owners
+     * @param {Array<Item>} expired - The expired status Items
+     * @param {string} unit - The duration unit that ran out
+     * @private
+     */
+    async _expireStatuses(expired, unit) {
+        const ids = expired.map(item => item.id);
+        
+        if (game.settings.get(game.system.id, 'statusExpiry') === 'delete') {
+            await this.deleteEmbeddedDocuments('Item', ids);
+        } else {
+            await this.updateEmbeddedDocuments('Item', expired.map(item => ({
+                _id: item.id,
+                'system.isActive': false,
+                'system.duration': { ...item.system.duration, [unit]: null }
+            })));
+        }
+        
+        const owners = game.users.filter(user => this.testUserPermission(user, 'OWNER')).map(user => user.id);
+        const names = expired.map(item => `「${item.name}」`).join('、');
+        await ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({ actor: this }),
+            content: `<p><i class="fas fa-hourglass-end"></i> ${this.name} 的状态 ${names} 已到期</p>`,
+            whisper: owners
+        });
+        
+        logger.debug(`Expired statuses ${names} on actor ${this.name}`);
+    }
+
     /**
      * @deprecated Use addStatus instead
      */
@@ -116,7 +314,7 @@ export default class BattlefieldActor extends Actor {
         try {
             const status = CONFIG.statusEffects.find(e => e.id === statusId);
             if (status) {
-                return this.addStatus(status.label);
+                return this.addStatus(game.i18n.localize(status.name), { statusId });
             }
         } catch (err) {
             logger.error('Error in deprecated addStatusEffect:', err);
@@ -144,7 +342,7 @@ export default class BattlefieldActor extends Actor {
     }
 
     /**
-     * Get all ActiveEffects that are created on this Actor and effects from status Items.
+     * Get all ActiveEffects that are created on this Actor and effects from status and equipment Items.
      * @yields {ActiveEffect}
      * @returns {Generator<ActiveEffect, void, void>}
      */
@@ -154,8 +352,18 @@ export default class BattlefieldActor extends Actor {
             yield effect;
         }
         
-        // TODO: In future versions, we should create ActiveEffects based on status Items
-        // For now, we just yield the existing effects
+        // Then derive an ActiveEffect from every active status Item that modifies data or shows on the token
+        for (const item of this.getStatusItems()) {
+            if (!item.system.isActive) continue;
+            if (!item.system.changes?.length && !item.system.statusId) continue;
+            yield item.system.toActiveEffect();
+        }
+        
+        // Magic items and mounts modify the army while their hero can fight
+        for (const item of this.items) {
+            if (!['magicItem', 'mount'].includes(item.type) || !item.system.changes?.length) continue;
+            yield item.system.toActiveEffect();
+        }
     }
 
     /**
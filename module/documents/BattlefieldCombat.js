@@ -0,0 +1,50 @@
+/*
+ * BattlefieldCombat - Custom Combat class for Battlefield System
+ */
+
+/**
+ * Extend the base Combat document with the system's round and turn events
+ * @extends {Combat}
+ */
+export default class BattlefieldCombat extends Combat {
+    /**
+     * Name of the hook fired at the start of every combat round
+     * @type {string}
+     */
+    static ROUND_HOOK = 'battlefield-system.combatRound';
+
+    /**
+     * Name of the hook fired at the start of every combatant's turn
+     * @type {string}
+     */
+    static TURN_HOOK = 'battlefield-system.combatTurn';
+
+    /**
+     * Count down the round durations of statuses on every combatant, then fire the round hook
+     * Only runs on the active GM, when the combat moves forward into a new round.
+     * @override
+     * @inheritDoc
+     * @ignore
+     */
+    async _onStartRound(context) {
+        await super._onStartRound(context);
+
+        const actors = new Set(this.combatants.map(combatant => combatant.actor).filter(actor => actor));
+        for (const actor of actors) {
+            await actor.tickStatusDurations('rounds');
+        }
+
+        Hooks.callAll(BattlefieldCombat.ROUND_HOOK, this, context);
+    }
+
+    /**
+     * Fire the turn hook for the combatant whose turn starts
+     * @override
+     * @inheritDoc
+     * @ignore
+     */
+    async _onStartTurn(combatant, context) {
+        await super._onStartTurn(combatant, context);
+        Hooks.callAll(BattlefieldCombat.TURN_HOOK, this, combatant, context);
+    }
+}
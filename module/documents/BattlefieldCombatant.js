@@ -0,0 +1,47 @@
+/*
+ * BattlefieldCombatant - Custom Combatant class for Battlefield System
+ */
+
+/**
+ * Extend the base Combatant document with initiative formulas per actor type
+ * @extends {Combatant}
+ */
+export default class BattlefieldCombatant extends Combatant {
+    /**
+     * Setting keys of the initiative formula for each actor type
+     * @type {Object<string, string>}
+     */
+    static INITIATIVE_SETTINGS = {
+        army: 'armyInitiative',
+        structure: 'structureInitiative'
+    };
+
+    /**
+     * @override
+     * @inheritDoc
+     * @ignore
+     */
+    _getInitiativeFormula() {
+        const setting = BattlefieldCombatant.INITIATIVE_SETTINGS[this.actor?.type];
+        const formula = setting ? game.settings.get(game.system.id, setting) : '';
+        return formula || super._getInitiativeFormula();
+    }
+
+    /**
+     * Describe the combatant's army or structure for the combat tracker: size or defense, and active statuses
+     * @returns {string} The summary, empty for other actors
+     */
+    getTrackerSummary() {
+        const actor = this.actor;
+        if (!actor?.isArmyActor() && !actor?.isStructureActor()) return '';
+
+        const stat = actor.isArmyActor()
+            ? `规模 ${actor.system.size || 0}`
+            : `防御 ${actor.system.defenseValue || 0}`;
+        const statuses = actor.getStatusItems()
+            .filter(item => item.system.isActive)
+            .map(item => item.name);
+
+        return [stat, ...statuses].join(' · ');
+    }
+}
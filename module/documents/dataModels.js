@@ -3,8 +3,87 @@
  */
 
 import logger from '../utils/Logger.js';
+import { BATTLEFIELD } from '../config.js';
+import { CampaignClock } from '../campaign/CampaignClock.js';
 
-const { NumberField, StringField, ArrayField, ObjectField, BooleanField } = foundry.data.fields;
+const { NumberField, StringField, ArrayField, ObjectField, BooleanField, SchemaField } = foundry.data.fields;
+
+/**
+ * 对角色数据的数值修正列表，结构与 ActiveEffect 的 changes 相同
+ * @returns {ArrayField} 数值修正字段
+ */
+function defineChangesField() {
+    return new ArrayField(new SchemaField({
+        key: new StringField({
+            required: true,
+            nullable: false,
+            initial: "system.powerRating"
+        }),
+        mode: new NumberField({
+            required: true,
+            nullable: false,
+            integer: true,
+            initial: CONST.ACTIVE_EFFECT_MODES.ADD
+        }),
+        value: new StringField({
+            required: true,
+            nullable: false,
+            initial: "0"
+        })
+    }), {
+        required: false,
+        initial: []
+    });
+}
+
+/**
+ * 角色上生效中的战役事件列表，到期时移除并清除事件施加的状态
+ * @returns {ArrayField} 战役事件字段
+ */
+function defineActiveEventsField() {
+    return new ArrayField(new SchemaField({
+        id: new StringField({
+            required: true,
+            nullable: false,
+            initial: ""
+        }),
+        name: new StringField({
+            required: true,
+            nullable: false,
+            initial: ""
+        }),
+        description: new StringField({
+            required: false,
+            nullable: false,
+            initial: ""
+        }),
+        // 抽到事件的回合
+        turn: new NumberField({
+            required: true,
+            nullable: false,
+            integer: true,
+            initial: 1
+        }),
+        // 事件结束的回合，为空时一直生效到手动结束
+        expiresTurn: new NumberField({
+            required: false,
+            nullable: true,
+            integer: true,
+            initial: null
+        }),
+        // 事件施加的状态 Item 的 UUID
+        statuses: new ArrayField(new StringField({
+            required: true,
+            nullable: false
+        }), {
+            required: false,
+            initial: []
+        })
+    }), {
+        required: false,
+        initial: []
+    });
+}
 
 /**
  * Data Model for Army Actors
@@ -50,7 +129,7 @@ export class ArmyDataModel extends foundry.abstract.TypeDataModel {
                 initial: ""
             }),
             
-            // 传奇英雄列表
+            // 旧版英雄列表，已迁移为英雄 Item，仅保留供世界迁移读取
             heroes: new ArrayField(new ObjectField({
                 schema: {
                     name: new StringField({
@@ -81,116 +160,206 @@ export class ArmyDataModel extends foundry.abstract.TypeDataModel {
                 initial: ""
             }),
             
+            // 驻扎的建筑（UUID）
+            garrison: new StringField({
+                required: false,
+                nullable: true,
+                initial: ""
+            }),
+            
+            // 所在的地块（建筑 UUID），为空时以驻扎的建筑为准
+            location: new StringField({
+                required: false,
+                nullable: true,
+                initial: ""
+            }),
+            
+            // 本回合剩余的行军步数，由移动距离掷骰设定
+            movesLeft: new NumberField({
+                required: false,
+                nullable: false,
+                integer: true,
+                initial: 0,
+                min: 0
+            }),
+            
+            // 掷移动距离的战役回合，同一回合只能掷一次
+            movementTurn: new NumberField({
+                required: false,
+                nullable: true,
+                integer: true,
+                initial: null
+            }),
+            
+            // 佣兵合同，受雇期间军队效忠雇主势力
+            contract: new SchemaField({
+                // 雇主势力（UUID），为空时没有合同
+                employer: new StringField({
+                    required: false,
+                    nullable: true,
+                    initial: ""
+                }),
+                // 每个合同期的报酬，每种资源一项
+                price: new SchemaField(Object.fromEntries(
+                    Object.keys(BATTLEFIELD.resourceTypes).map(type => [type, new NumberField({
+                        required: true,
+                        nullable: false,
+                        integer: true,
+                        initial: 0,
+                        min: 0
+                    })])
+                )),
+                startTurn: new NumberField({
+                    required: true,
+                    nullable: false,
+                    integer: true,
+                    initial: 0
+                }),
+                // 合同期的回合数
+                duration: new NumberField({
+                    required: true,
+                    nullable: false,
+                    integer: true,
+                    initial: 1,
+                    min: 1
+                }),
+                // 到期时雇主付得起报酬则自动续约
+                autoRenew: new BooleanField({
+                    required: false,
+                    initial: false
+                })
+            }),
+            
             // 传奇军团列表
-            legendaryLegions: new ArrayField(new ObjectField({
-                schema: {
-                    name: new StringField({
+            legendaryLegions: new ArrayField(new SchemaField({
+                name: new StringField({
+                    required: true,
+                    nullable: false,
+                    initial: "传奇军团名称"
+                }),
+                banner: new StringField({
+                    required: false,
+                    nullable: true,
+                    initial: ""
+                }),
+                bannerImg: new StringField({
+                    required: false,
+                    nullable: true,
+                    initial: ""
+                }),
+                rules: new StringField({
+                    required: false,
+                    nullable: true,
+                    initial: ""
+                }),
+                // 军团提供的数值加值，防御仅在驻扎于建筑时生效
+                bonuses: new SchemaField(Object.fromEntries(
+                    Object.keys(BATTLEFIELD.legionBonuses).map(key => [key, new NumberField({
                         required: true,
                         nullable: false,
-                        initial: "传奇军团名称"
-                    }),
-                    banner: new StringField({
-                        required: false,
-                        nullable: true,
-                        initial: ""
-                    }),
-                    rules: new StringField({
-                        required: false,
-                        nullable: true,
-                        initial: ""
-                    })
-                }
+                        integer: true,
+                        initial: 0
+                    })])
+                )),
+                // 军团是否仍随军作战（脱离或覆灭的军团保留记录）
+                isActive: new BooleanField({
+                    required: false,
+                    initial: true
+                })
             }), {
                 required: false,
                 initial: []
-            })
+            }),
+            
+            // 生效中的战役事件
+            activeEvents: defineActiveEventsField()
         };
     }
 
     /**
-     * 获取所有英雄的列表
-     * @returns {Array<Object>} 英雄列表
+     * 计入传奇军团的实力加值，并初始化派生的移动数据，供状态效果修改
      */
-    getHeroes() {
-        return this.heroes || [];
+    prepareBaseData() {
+        const bonuses = this.getLegionBonuses();
+        this.powerRating = (this.powerRating || 0) + bonuses.powerRating;
+        this.movement = {
+            bonus: bonuses.movement,
+            multiplier: 1
+        };
     }
 
     /**
-     * 添加新英雄
-     * @param {Object} heroData - 英雄数据
+     * 派生平均行军距离，供先攻公式使用（加速与迟缓等状态经由移动数据影响）
      */
-    addHero(heroData) {
-        try {
-            if (!heroData || typeof heroData !== 'object') {
-                throw new Error('Invalid hero data provided');
-            }
-            
-            const newHero = {
-                name: heroData.name || "New Hero",
-                equipment: heroData.equipment || "",
-                traits: heroData.traits || ""
-            };
-            this.heroes.push(newHero);
-            
-            logger.debug(`Added new hero to army: ${newHero.name}`);
-        } catch (err) {
-            logger.error(`Failed to add hero to army:`, err);
-            throw err;
-        }
+    prepareDerivedData() {
+        this.pace = Math.max(Math.floor((2 + this.movement.bonus) * this.movement.multiplier), 0);
     }
 
     /**
-     * 更新英雄信息
-     * @param {number} index - 英雄索引
-     * @param {Object} heroData - 更新后的英雄数据
+     * 获取仍在作战的传奇军团
+     * @returns {Array<Object>} 激活的传奇军团列表
      */
-    updateHero(index, heroData) {
-        try {
-            if (!Number.isInteger(index)) {
-                throw new Error('Invalid hero index provided');
-            }
-            
-            if (index >= 0 && index < this.heroes.length) {
-                if (!heroData || typeof heroData !== 'object') {
-                    throw new Error('Invalid hero data provided');
-                }
-                
-                const oldName = this.heroes[index].name;
-                this.heroes[index] = {
-                    ...this.heroes[index],
-                    ...heroData
-                };
-                
-                logger.debug(`Updated hero at index ${index}: ${oldName} -> ${this.heroes[index].name}`);
-            } else {
-                throw new Error(`Hero index ${index} out of bounds`);
-            }
-        } catch (err) {
-            logger.error(`Failed to update hero at index ${index}:`, err);
-            // Don't throw the error to avoid breaking the flow for UI operations
-        }
+    getActiveLegions() {
+        return this.getLegendaryLegions().filter(legion => legion.isActive);
     }
 
     /**
-     * 删除英雄
-     * @param {number} index - 英雄索引
+     * 汇总激活的传奇军团提供的加值
+     * @returns {Object<string, number>} 加值类型到数值的映射
      */
-    removeHero(index) {
-        try {
-            if (!Number.isInteger(index)) {
-                throw new Error('Invalid hero index provided');
-            }
-            
-            if (index >= 0 && index < this.heroes.length) {
-                const removedHero = this.heroes.splice(index, 1)[0];
-                logger.debug(`Removed hero from army: ${removedHero.name}`);
-            } else {
-                throw new Error(`Hero index ${index} out of bounds`);
+    getLegionBonuses() {
+        const totals = Object.fromEntries(Object.keys(BATTLEFIELD.legionBonuses).map(key => [key, 0]));
+        for (const legion of this.getActiveLegions()) {
+            for (const key of Object.keys(totals)) {
+                totals[key] += legion.bonuses?.[key] || 0;
             }
-        } catch (err) {
-            logger.error(`Failed to remove hero at index ${index}:`, err);
-            // Don't throw the error to avoid breaking the flow for UI operations
         }
+        return totals;
+    }
+
+    /**
+     * 军队驻扎的建筑
+     * @returns {Actor|null} 建筑角色
+     */
+    getGarrison() {
+        if (!this.garrison) return null;
+        const structure = fromUuidSync(this.garrison);
+        return structure?.isStructureActor?.() ? structure : null;
+    }
+
+    /**
+     * 军队所在的地块，未设置时为驻扎的建筑
+     * @returns {Actor|null} 建筑角色
+     */
+    getLocation() {
+        const structure = this.location ? fromUuidSync(this.location) : null;
+        return structure?.isStructureActor?.() ? structure : this.getGarrison();
+    }
+
+    /**
+     * 佣兵合同的雇主
+     * @returns {Actor|null} 雇主势力，没有合同时为 null
+     */
+    getEmployer() {
+        if (!this.contract.employer) return null;
+        const faction = fromUuidSync(this.contract.employer);
+        return faction?.isFactionActor?.() ? faction : null;
+    }
+
+    /**
+     * 佣兵合同到期的回合
+     * @returns {number|null} 到期回合，没有合同时为 null
+     */
+    getContractEnd() {
+        return this.contract.employer ? this.contract.startTurn + this.contract.duration : null;
+    }
+
+    /**
+     * 获取军队中的所有英雄 Item
+     * @returns {Array<Item>} 英雄列表
+     */
+    getHeroes() {
+        return this.parent.items.filter(item => item.type === 'hero');
     }
 
     /**
@@ -214,7 +383,10 @@ export class ArmyDataModel extends foundry.abstract.TypeDataModel {
             const newLegion = {
                 name: legionData.name || "新传奇军团",
                 banner: legionData.banner || "",
-                rules: legionData.rules || ""
+                bannerImg: legionData.bannerImg || "",
+                rules: legionData.rules || "",
+                bonuses: { powerRating: 0, movement: 0, defense: 0, ...legionData.bonuses },
+                isActive: legionData.isActive ?? true
             };
             this.legendaryLegions.push(newLegion);
             
@@ -336,14 +508,135 @@ export class StructureDataModel extends foundry.abstract.TypeDataModel {
             }),
             
             // 资源产出（如果适用）
-            resourceProduction: new StringField({
+            resourceProduction: new ArrayField(new SchemaField({
+                type: new StringField({
+                    required: true,
+                    nullable: false,
+                    initial: "gold"
+                }),
+                amount: new NumberField({
+                    required: true,
+                    nullable: false,
+                    integer: true,
+                    initial: 0,
+                    min: 0
+                })
+            }), {
                 required: false,
-                nullable: true,
-                initial: ""
-            })
+                initial: []
+            }),
+            
+            // 本回合已征募的规模，回合不同时视为零
+            recruitment: new SchemaField({
+                turn: new NumberField({
+                    required: true,
+                    nullable: false,
+                    integer: true,
+                    initial: 0
+                }),
+                recruited: new NumberField({
+                    required: true,
+                    nullable: false,
+                    integer: true,
+                    initial: 0,
+                    min: 0
+                })
+            }),
+            
+            // 相邻的地块（建筑 UUID），双向生效
+            neighbours: new ArrayField(new StringField({
+                required: true,
+                nullable: false
+            }), {
+                required: false,
+                initial: []
+            }),
+            
+            // 生效中的战役事件
+            activeEvents: defineActiveEventsField()
         };
     }
 
+    /**
+     * 将旧版的文本资源产出转换为结构化列表
+     * @param {Object} source - 原始数据
+     * @returns {Object} 迁移后的数据
+     */
+    static migrateData(source) {
+        if (typeof source.resourceProduction === 'string') {
+            const text = source.resourceProduction.trim();
+            source.resourceProduction = StructureDataModel.parseLegacyProduction(text);
+            
+            // 无法识别的文本保留到特殊效果中，避免丢失
+            if (text && !source.resourceProduction.length) {
+                source.specialEffects = [source.specialEffects, `资源产出: ${text}`].filter(Boolean).join('\n');
+            }
+        }
+        return super.migrateData(source);
+    }
+
+    /**
+     * 从文本中识别 "10 粮食"、"每天产出10单位食物" 这样的产出描述
+     * @param {string} text - 旧版资源产出文本
+     * @returns {Array<Object>} 结构化的资源产出列表
+     */
+    static parseLegacyProduction(text) {
+        const production = [];
+        const pattern = /(\d+)\s*(?:单位)?\s*([^\s\d,，、;；。]+)/g;
+        
+        for (const [, amount, word] of text.matchAll(pattern)) {
+            const type = Object.entries(BATTLEFIELD.resourceTypes)
+                .find(([, config]) => config.aliases.some(alias => word.toLowerCase().startsWith(alias)))?.[0];
+            if (type) {
+                production.push({ type, amount: parseInt(amount) });
+            }
+        }
+        
+        return production;
+    }
+
+    /**
+     * 按资源类型汇总产出
+     * @returns {Object<string, number>} 资源类型到产出数量的映射
+     */
+    getProductionTotals() {
+        const totals = {};
+        for (const { type, amount } of this.resourceProduction) {
+            totals[type] = (totals[type] || 0) + amount;
+        }
+        return totals;
+    }
+
+    /**
+     * 驻扎于此的军队
+     * @returns {Array<Actor>} 军队角色列表
+     */
+    getGarrisonedArmies() {
+        if (!game.actors) return [];
+        return game.actors.filter(actor => actor.isArmyActor() && actor.system.garrison === this.parent.uuid);
+    }
+
+    /**
+     * 在角色卡中登记的相邻地块，包括将此处登记为相邻的建筑
+     * 场景中的连线由 MapGraph 另行汇总。
+     * @returns {Array<Actor>} 建筑角色列表
+     */
+    getNeighbours() {
+        if (!game.actors) return [];
+        const uuid = this.parent.uuid;
+        return game.actors.filter(actor => actor.isStructureActor() && actor.uuid !== uuid
+            && (this.neighbours.includes(actor.uuid) || actor.system.neighbours.includes(uuid)));
+    }
+
+    /**
+     * 驻军的传奇军团提供的防御加值
+     * @type {number}
+     */
+    get garrisonDefense() {
+        return this.getGarrisonedArmies()
+            .reduce((total, army) => total + army.system.getLegionBonuses().defense, 0);
+    }
+
     /**
      * 获取地块完整类型信息
      * @returns {string} 完整的地块类型描述
@@ -354,6 +647,17 @@ export class StructureDataModel extends foundry.abstract.TypeDataModel {
         }
         return this.structureType;
     }
+
+    /**
+     * 按建筑类型识别的征兵设置
+     * @returns {Object|null} 征兵建筑的配置，不能征兵时为 null
+     */
+    getRecruitment() {
+        const type = (this.buildingType || '').trim().toLowerCase();
+        if (!type) return null;
+        return Object.values(BATTLEFIELD.recruitment.buildings)
+            .find(config => config.aliases.some(alias => type.startsWith(alias))) ?? null;
+    }
 }
 
 /**
@@ -388,7 +692,7 @@ export class FactionDataModel extends foundry.abstract.TypeDataModel {
                 }
             }),
             
-            // 遗物数量
+            // 遗物数量，由成员军队与建筑持有的遗物 Item 计算
             relics: new NumberField({
                 required: false,
                 nullable: true,
@@ -396,7 +700,7 @@ export class FactionDataModel extends foundry.abstract.TypeDataModel {
                 min: 0
             }),
             
-            // 仇敌列表
+            // 旧版仇敌列表，已迁移为外交关系，仅保留无法关联到势力的记录
             enemies: new ArrayField(new ObjectField({
                 schema: {
                     name: new StringField({
@@ -415,7 +719,7 @@ export class FactionDataModel extends foundry.abstract.TypeDataModel {
                 initial: []
             }),
             
-            // 盟友列表
+            // 旧版盟友列表，已迁移为外交关系，仅保留无法关联到势力的记录
             allies: new ArrayField(new ObjectField({
                 schema: {
                     name: new StringField({
@@ -434,180 +738,172 @@ export class FactionDataModel extends foundry.abstract.TypeDataModel {
                 initial: []
             }),
             
+            // 与其他势力的外交关系，双方各保存一份相同的记录
+            relations: new ArrayField(new SchemaField({
+                faction: new StringField({
+                    required: true,
+                    nullable: false,
+                    initial: ""
+                }),
+                stance: new StringField({
+                    required: true,
+                    nullable: false,
+                    initial: "neutral",
+                    choices: Object.keys(BATTLEFIELD.diplomacy.stances)
+                }),
+                deeds: new ArrayField(new SchemaField({
+                    turn: new NumberField({
+                        required: false,
+                        nullable: true,
+                        integer: true,
+                        initial: null
+                    }),
+                    text: new StringField({
+                        required: true,
+                        nullable: false,
+                        initial: ""
+                    })
+                }), {
+                    required: false,
+                    initial: []
+                }),
+                
+                // 生效中的条约，到期或被撕毁时移除
+                treaties: new ArrayField(new SchemaField({
+                    id: new StringField({
+                        required: true,
+                        nullable: false,
+                        initial: () => foundry.utils.randomID()
+                    }),
+                    type: new StringField({
+                        required: true,
+                        nullable: false,
+                        initial: "nonAggression",
+                        choices: Object.keys(BATTLEFIELD.diplomacy.treatyTypes)
+                    }),
+                    startTurn: new NumberField({
+                        required: true,
+                        nullable: false,
+                        integer: true,
+                        initial: 1,
+                        min: 1
+                    }),
+                    // 持续回合数，为空时长期有效
+                    duration: new NumberField({
+                        required: false,
+                        nullable: true,
+                        integer: true,
+                        initial: null,
+                        min: 1
+                    }),
+                    terms: new StringField({
+                        required: false,
+                        nullable: false,
+                        initial: ""
+                    })
+                }), {
+                    required: false,
+                    initial: []
+                })
+            }), {
+                required: false,
+                initial: []
+            }),
+            
             // 领土尺寸
             territorySize: new NumberField({
                 required: false,
                 nullable: true,
                 initial: 0,
                 min: 0
-            })
+            }),
+            
+            // 国库，每种资源一项
+            treasury: new SchemaField(Object.fromEntries(
+                Object.keys(BATTLEFIELD.resourceTypes).map(type => [type, new NumberField({
+                    required: true,
+                    nullable: false,
+                    integer: true,
+                    initial: 0
+                })])
+            )),
+            
+            // 生效中的战役事件
+            activeEvents: defineActiveEventsField()
         };
     }
 
     /**
-     * 获取所有仇敌的列表
-     * @returns {Array<Object>} 仇敌列表
+     * 领土尺寸与遗物数量由势力拥有的建筑和军队计算
      */
-    getEnemies() {
-        return this.enemies || [];
+    prepareDerivedData() {
+        this.territorySize = this.parent.getFactionMembers().structures.length;
+        this.relics = this.getRelics().length;
     }
 
     /**
-     * 添加新仇敌
-     * @param {Object} enemyData - 仇敌数据
+     * 获取势力的军队与建筑持有的所有遗物
+     * @returns {Array<Item>} 遗物 Item 列表
      */
-    addEnemy(enemyData) {
-        try {
-            if (!enemyData || typeof enemyData !== 'object') {
-                throw new Error('Invalid enemy data provided');
-            }
-            
-            const newEnemy = {
-                name: enemyData.name || "新仇敌",
-                deeds: enemyData.deeds || ""
-            };
-            this.enemies.push(newEnemy);
-            
-            logger.debug(`Added new enemy to faction: ${newEnemy.name}`);
-        } catch (err) {
-            logger.error(`Failed to add enemy to faction:`, err);
-            throw err;
-        }
+    getRelics() {
+        const { armies, structures } = this.parent.getFactionMembers();
+        return [...armies, ...structures].flatMap(actor => actor.items.filter(item => item.type === 'relic'));
     }
 
     /**
-     * 更新仇敌信息
-     * @param {number} index - 仇敌索引
-     * @param {Object} enemyData - 更新后的仇敌数据
+     * 获取与某个势力的外交关系
+     * @param {Actor|string} faction - 势力角色或其 UUID
+     * @returns {Object|null} 关系记录 {faction, stance, deeds, treaties}
      */
-    updateEnemy(index, enemyData) {
-        try {
-            if (!Number.isInteger(index)) {
-                throw new Error('Invalid enemy index provided');
-            }
-            
-            if (index >= 0 && index < this.enemies.length) {
-                if (!enemyData || typeof enemyData !== 'object') {
-                    throw new Error('Invalid enemy data provided');
-                }
-                
-                const oldName = this.enemies[index].name;
-                this.enemies[index] = {
-                    ...this.enemies[index],
-                    ...enemyData
-                };
-                
-                logger.debug(`Updated enemy at index ${index}: ${oldName} -> ${this.enemies[index].name}`);
-            } else {
-                throw new Error(`Enemy index ${index} out of bounds`);
-            }
-        } catch (err) {
-            logger.error(`Failed to update enemy at index ${index}:`, err);
-        }
+    getRelation(faction) {
+        const uuid = typeof faction === 'string' ? faction : faction?.uuid;
+        return this.relations.find(relation => relation.faction === uuid) ?? null;
     }
-
+    
     /**
-     * 删除仇敌
-     * @param {number} index - 仇敌索引
+     * 获取与某个势力之间生效中的条约
+     * @param {Actor|string} faction - 势力角色或其 UUID
+     * @returns {Array<Object>} 条约列表 {id, type, startTurn, duration, terms}
      */
-    removeEnemy(index) {
-        try {
-            if (!Number.isInteger(index)) {
-                throw new Error('Invalid enemy index provided');
-            }
-            
-            if (index >= 0 && index < this.enemies.length) {
-                const removedEnemy = this.enemies.splice(index, 1)[0];
-                logger.debug(`Removed enemy from faction: ${removedEnemy.name}`);
-            } else {
-                throw new Error(`Enemy index ${index} out of bounds`);
-            }
-        } catch (err) {
-            logger.error(`Failed to remove enemy at index ${index}:`, err);
-        }
+    getTreaties(faction) {
+        return this.getRelation(faction)?.treaties ?? [];
     }
-
+    
     /**
-     * 获取所有盟友的列表
-     * @returns {Array<Object>} 盟友列表
+     * 获取与某个势力的外交立场，没有记录时为中立
+     * @param {Actor|string} faction - 势力角色或其 UUID
+     * @returns {string} 立场
      */
-    getAllies() {
-        return this.allies || [];
+    getStance(faction) {
+        return this.getRelation(faction)?.stance ?? 'neutral';
     }
-
+    
     /**
-     * 添加新盟友
-     * @param {Object} allyData - 盟友数据
+     * 获取处于某种立场的所有势力
+     * @param {string} stance - 立场
+     * @returns {Array<Actor>} 势力角色列表
      */
-    addAlly(allyData) {
-        try {
-            if (!allyData || typeof allyData !== 'object') {
-                throw new Error('Invalid ally data provided');
-            }
-            
-            const newAlly = {
-                name: allyData.name || "新盟友",
-                deeds: allyData.deeds || ""
-            };
-            this.allies.push(newAlly);
-            
-            logger.debug(`Added new ally to faction: ${newAlly.name}`);
-        } catch (err) {
-            logger.error(`Failed to add ally to faction:`, err);
-            throw err;
-        }
+    getFactionsWithStance(stance) {
+        return this.relations
+            .filter(relation => relation.stance === stance)
+            .map(relation => fromUuidSync(relation.faction))
+            .filter(faction => faction?.isFactionActor?.());
     }
-
+    
     /**
-     * 更新盟友信息
-     * @param {number} index - 盟友索引
-     * @param {Object} allyData - 更新后的盟友数据
+     * 获取所有仇敌势力
+     * @returns {Array<Actor>} 仇敌列表
      */
-    updateAlly(index, allyData) {
-        try {
-            if (!Number.isInteger(index)) {
-                throw new Error('Invalid ally index provided');
-            }
-            
-            if (index >= 0 && index < this.allies.length) {
-                if (!allyData || typeof allyData !== 'object') {
-                    throw new Error('Invalid ally data provided');
-                }
-                
-                const oldName = this.allies[index].name;
-                this.allies[index] = {
-                    ...this.allies[index],
-                    ...allyData
-                };
-                
-                logger.debug(`Updated ally at index ${index}: ${oldName} -> ${this.allies[index].name}`);
-            } else {
-                throw new Error(`Ally index ${index} out of bounds`);
-            }
-        } catch (err) {
-            logger.error(`Failed to update ally at index ${index}:`, err);
-        }
+    getEnemies() {
+        return this.getFactionsWithStance('enemy');
     }
-
+    
     /**
-     * 删除盟友
-     * @param {number} index - 盟友索引
+     * 获取所有盟友势力
+     * @returns {Array<Actor>} 盟友列表
      */
-    removeAlly(index) {
-        try {
-            if (!Number.isInteger(index)) {
-                throw new Error('Invalid ally index provided');
-            }
-            
-            if (index >= 0 && index < this.allies.length) {
-                const removedAlly = this.allies.splice(index, 1)[0];
-                logger.debug(`Removed ally from faction: ${removedAlly.name}`);
-            } else {
-                throw new Error(`Ally index ${index} out of bounds`);
-            }
-        } catch (err) {
-            logger.error(`Failed to remove ally at index ${index}:`, err);
-        }
+    getAllies() {
+        return this.getFactionsWithStance('ally');
     }
 }
 
@@ -664,7 +960,17 @@ export class StatusDataModel extends foundry.abstract.TypeDataModel {
                 required: false,
                 nullable: true,
                 initial: ""
-            })
+            }),
+            
+            // 对应的预设状态 id（令牌状态），自定义状态为空
+            statusId: new StringField({
+                required: false,
+                nullable: false,
+                initial: ""
+            }),
+            
+            // 状态对角色数据的数值修正
+            changes: defineChangesField()
         };
     }
     
@@ -681,6 +987,22 @@ export class StatusDataModel extends foundry.abstract.TypeDataModel {
         };
     }
     
+    /**
+     * 根据状态的数值修正生成一个临时的 ActiveEffect
+     * @returns {ActiveEffect} 未保存到数据库的 ActiveEffect
+     */
+    toActiveEffect() {
+        const item = this.parent;
+        return new ActiveEffect.implementation({
+            name: item.name,
+            img: item.img,
+            origin: item.uuid,
+            disabled: !this.isActive,
+            changes: this.changes,
+            statuses: this.statusId ? [this.statusId] : []
+        }, { parent: item });
+    }
+    
     /**
      * 切换状态的激活/禁用状态
      */
@@ -688,4 +1010,289 @@ export class StatusDataModel extends foundry.abstract.TypeDataModel {
         this.isActive = !this.isActive;
         return this.parent.update({"system.isActive": this.isActive});
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Data Model for Hero Items
+ */
+export class HeroDataModel extends foundry.abstract.TypeDataModel {
+    static defineSchema() {
+        return {
+            // 英雄属性
+            attributes: new SchemaField(Object.fromEntries(
+                Object.keys(BATTLEFIELD.heroAttributes).map(key => [key, new NumberField({
+                    required: true,
+                    nullable: false,
+                    integer: true,
+                    initial: 0,
+                    min: 0
+                })])
+            )),
+            
+            // 魔法物品与坐骑
+            equipment: new StringField({
+                required: false,
+                nullable: true,
+                initial: ""
+            }),
+            
+            // 伤势记录
+            injuries: new ArrayField(new SchemaField({
+                description: new StringField({
+                    required: true,
+                    nullable: false,
+                    initial: ""
+                }),
+                turn: new NumberField({
+                    required: false,
+                    nullable: true,
+                    integer: true,
+                    initial: null,
+                    min: 1
+                })
+            }), {
+                required: false,
+                initial: []
+            }),
+            
+            // 是否阵亡
+            isDead: new BooleanField({
+                required: false,
+                initial: false
+            }),
+            
+            // 休养结束、重新可以作战的战役回合
+            recoveryTurn: new NumberField({
+                required: false,
+                nullable: true,
+                integer: true,
+                initial: null,
+                min: 1
+            }),
+            
+            // 备注
+            notes: new StringField({
+                required: false,
+                nullable: true,
+                initial: ""
+            })
+        };
+    }
+    
+    /**
+     * 从旧版军队英雄数组中的条目创建英雄 Item 数据
+     * @param {Object} hero - 旧版英雄数据 {name, equipment, traits}
+     * @returns {Object} 英雄 Item 的创建数据
+     */
+    static fromLegacy(hero) {
+        const traits = hero.traits?.trim();
+        return {
+            name: hero.name || "新英雄",
+            type: "hero",
+            system: {
+                equipment: hero.equipment || "",
+                injuries: traits ? [{ description: traits, turn: null }] : []
+            }
+        };
+    }
+    
+    /**
+     * 英雄是否正在休养（因伤退出战斗）
+     * @type {boolean}
+     */
+    get isOutOfAction() {
+        return !this.isDead && this.recoveryTurn !== null && this.recoveryTurn > CampaignClock.turn;
+    }
+    
+    /**
+     * 英雄能否参加战斗
+     * @type {boolean}
+     */
+    get isAvailable() {
+        return !this.isDead && !this.isOutOfAction;
+    }
+    
+    /**
+     * 装备在该英雄身上的魔法物品与坐骑
+     * @returns {Array<Item>} 装备列表
+     */
+    getEquipment() {
+        const actor = this.parent.actor;
+        if (!actor) return [];
+        return actor.items.filter(item => item.system instanceof EquipmentDataModel && item.system.hero === this.parent.id);
+    }
+    
+    /**
+     * 装备的总点数
+     * @returns {number} 点数合计
+     */
+    getEquipmentPoints() {
+        return this.getEquipment().reduce((total, item) => total + (item.system.points || 0), 0);
+    }
+    
+    /**
+     * 检查英雄能否再装备一件物品
+     * @param {Item} item - 要装备的魔法物品或坐骑
+     * @returns {string|null} 无法装备的原因，可以装备时为 null
+     */
+    getEquipBlocker(item) {
+        const equipment = this.getEquipment().filter(other => other.id !== item.id);
+        if (item.type === 'mount') {
+            const max = CONFIG.BATTLEFIELD.equipment.maxMounts;
+            if (equipment.filter(other => other.type === 'mount').length >= max) {
+                return `${this.parent.name} 最多只能拥有 ${max} 匹坐骑`;
+            }
+        } else {
+            const max = game.settings.get(game.system.id, 'heroItemLimit');
+            if (equipment.filter(other => other.type === 'magicItem').length >= max) {
+                return `${this.parent.name} 最多只能携带 ${max} 件魔法物品`;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * 英雄所在的军队
+     * @type {Actor|null}
+     */
+    get army() {
+        const actor = this.parent.actor;
+        return actor?.isArmyActor?.() ? actor : null;
+    }
+}
+
+/**
+ * Data Model for Magic Item and Mount Items
+ */
+export class EquipmentDataModel extends foundry.abstract.TypeDataModel {
+    static defineSchema() {
+        return {
+            // 点数消耗
+            points: new NumberField({
+                required: true,
+                nullable: false,
+                integer: true,
+                initial: 0,
+                min: 0
+            }),
+            
+            // 规则文本
+            rules: new StringField({
+                required: false,
+                nullable: true,
+                initial: ""
+            }),
+            
+            // 持有该装备的英雄（同一军队中英雄 Item 的 id）
+            hero: new StringField({
+                required: false,
+                nullable: false,
+                initial: ""
+            }),
+            
+            // 对军队数据的数值修正，英雄可以作战时生效
+            changes: defineChangesField()
+        };
+    }
+    
+    /**
+     * 持有该装备的英雄
+     * @type {Item|null}
+     */
+    get heroItem() {
+        const hero = this.hero ? this.parent.actor?.items.get(this.hero) : null;
+        return hero?.type === 'hero' ? hero : null;
+    }
+    
+    /**
+     * 装备的修正是否生效：装备在一位可以作战的英雄身上
+     * @type {boolean}
+     */
+    get isEquipped() {
+        return !!this.heroItem?.system.isAvailable;
+    }
+    
+    /**
+     * 根据装备的数值修正生成一个临时的 ActiveEffect
+     * @returns {ActiveEffect} 未保存到数据库的 ActiveEffect
+     */
+    toActiveEffect() {
+        const item = this.parent;
+        return new ActiveEffect.implementation({
+            name: item.name,
+            img: item.img,
+            origin: item.uuid,
+            disabled: !this.isEquipped,
+            changes: this.changes
+        }, { parent: item });
+    }
+}
+
+/**
+ * Data Model for Relic Items
+ * 遗物由持有它的军队或存放它的建筑拥有，不属于任何军队或建筑的遗物视为遗失
+ */
+export class RelicDataModel extends foundry.abstract.TypeDataModel {
+    static defineSchema() {
+        return {
+            // 遗物效果
+            effect: new StringField({
+                required: false,
+                nullable: true,
+                initial: ""
+            }),
+            
+            // 遗失时所在的地点描述
+            lostLocation: new StringField({
+                required: false,
+                nullable: false,
+                initial: ""
+            }),
+            
+            // 易手记录
+            history: new ArrayField(new SchemaField({
+                turn: new NumberField({
+                    required: false,
+                    nullable: true,
+                    integer: true,
+                    initial: null
+                }),
+                text: new StringField({
+                    required: true,
+                    nullable: false,
+                    initial: ""
+                })
+            }), {
+                required: false,
+                initial: []
+            })
+        };
+    }
+    
+    /**
+     * 遗物的位置：army（军队持有）、structure（建筑存放）或 lost（遗失）
+     * @type {string}
+     */
+    get location() {
+        const actor = this.parent.actor;
+        if (actor?.isArmyActor?.()) return 'army';
+        if (actor?.isStructureActor?.()) return 'structure';
+        return 'lost';
+    }
+    
+    /**
+     * 持有或存放遗物的军队或建筑
+     * @type {Actor|null}
+     */
+    get holder() {
+        return this.location === 'lost' ? null : this.parent.actor;
+    }
+    
+    /**
+     * 拥有遗物的势力
+     * @type {Actor|null}
+     */
+    get faction() {
+        return this.holder?.getFaction() ?? null;
+    }
+}
@@ -0,0 +1,179 @@
+/*
+ * World data migrations for Battlefield System
+ */
+
+import logger from './utils/Logger.js';
+import BattlefieldActor from './documents/BattlefieldActor.js';
+import { HeroDataModel } from './documents/dataModels.js';
+import { Diplomacy } from './campaign/Diplomacy.js';
+
+/**
+ * Migration steps by the world schema version they upgrade to
+ * Add a step here and it runs once in every world below that version.
+ */
+const MIGRATIONS = {
+    1: migrateFactionReferences,
+    2: migrateHeroItems,
+    3: migrateFactionRelations,
+    4: migrateRelicCounts
+};
+
+/**
+ * The world schema version this system expects
+ * @type {number}
+ */
+export const MIGRATION_VERSION = Math.max(...Object.keys(MIGRATIONS).map(Number));
+
+/**
+ * Run every pending migration step in order
+ * Only the active GM migrates, and a failed step stops the run so it is retried on the next load.
+ */
+export async function migrateWorld() {
+    if (!game.users.activeGM?.isSelf) return;
+
+    const current = game.settings.get(game.system.id, 'migrationVersion');
+    if (current >= MIGRATION_VERSION) return;
+
+    ui.notifications.info('正在迁移战场系统的世界数据，请勿关闭或刷新页面...', { permanent: true });
+
+    for (let version = current + 1; version <= MIGRATION_VERSION; version++) {
+        try {
+            await MIGRATIONS[version]();
+            await game.settings.set(game.system.id, 'migrationVersion', version);
+            logger.log(`Migrated world data to version ${version}`);
+        } catch (err) {
+            logger.error(`Failed to migrate world data to version ${version}:`, err);
+            ui.notifications.error(`世界数据迁移失败（版本 ${version}）: ${err.message}`, { permanent: true });
+            return;
+        }
+    }
+
+    ui.notifications.info('战场系统的世界数据迁移完成');
+}
+
+/**
+ * Version 1: replace free-text faction names on armies and structures with Faction actor UUIDs
+ * Names without a matching faction are left as they are.
+ */
+async function migrateFactionReferences() {
+    const updates = [];
+
+    for (const actor of game.actors) {
+        const reference = actor.factionReference;
+        if (!reference || reference.startsWith('Actor.')) continue;
+
+        const faction = BattlefieldActor.resolveFaction(reference);
+        if (!faction) {
+            logger.warn(`No faction named "${reference}" found for ${actor.name}, keeping the name`);
+            continue;
+        }
+
+        const key = actor.isArmyActor() ? 'system.faction' : 'system.ownerFaction';
+        updates.push({ _id: actor.id, [key]: faction.uuid });
+    }
+
+    if (updates.length) {
+        await Actor.implementation.updateDocuments(updates);
+    }
+    logger.debug(`Linked ${updates.length} actors to their factions`);
+}
+
+/**
+ * Version 2: turn the anonymous entries of the legacy army hero array into hero Items
+ */
+async function migrateHeroItems() {
+    let count = 0;
+
+    for (const actor of game.actors) {
+        if (!actor.isArmyActor()) continue;
+
+        const heroes = actor._source.system.heroes ?? [];
+        if (!heroes.length) continue;
+
+        await actor.createEmbeddedDocuments('Item', heroes.map(hero => HeroDataModel.fromLegacy(hero)));
+        await actor.update({ 'system.heroes': [] });
+        count += heroes.length;
+    }
+
+    logger.debug(`Converted ${count} legacy heroes into hero Items`);
+}
+
+/**
+ * Version 3: turn the free-text enemy and ally lists of factions into symmetric relations
+ * Entries naming another faction become relations with the text kept as an undated deed;
+ * the rest stay in the legacy lists. Where two factions disagree, the first one processed wins.
+ */
+async function migrateFactionRelations() {
+    const factions = Diplomacy.getFactions();
+    let count = 0;
+
+    for (const faction of factions) {
+        const source = faction._source.system;
+        const relations = foundry.utils.deepClone(source.relations ?? []);
+        const remaining = { enemies: [], allies: [] };
+
+        for (const [list, stance] of [['enemies', 'enemy'], ['allies', 'ally']]) {
+            for (const entry of source[list] ?? []) {
+                const other = BattlefieldActor.resolveFaction(entry.name);
+                if (!other || other === faction) {
+                    logger.warn(`No faction named "${entry.name}" found for ${faction.name}, keeping the record`);
+                    remaining[list].push(entry);
+                    continue;
+                }
+                if (relations.some(relation => relation.faction === other.uuid)) continue;
+
+                const deeds = entry.deeds?.trim() ? [{ turn: null, text: entry.deeds.trim() }] : [];
+                relations.push({ faction: other.uuid, stance, deeds });
+                count++;
+            }
+        }
+
+        await faction.update({
+            'system.relations': relations,
+            'system.enemies': remaining.enemies,
+            'system.allies': remaining.allies
+        });
+    }
+
+    // Mirror in processing order so the first faction's record of a pair is kept
+    for (const faction of factions) {
+        await Diplomacy.syncRelations(faction);
+    }
+
+    logger.debug(`Converted ${count} legacy enemies and allies into faction relations`);
+}
+
+/**
+ * Version 4: turn the numeric relic count of factions into relic Items
+ * The placeholder relics are stored in the faction's first structure, or held by its first army;
+ * factions with neither get them in the Items directory as lost relics.
+ */
+async function migrateRelicCounts() {
+    let count = 0;
+
+    for (const faction of Diplomacy.getFactions()) {
+        const legacy = faction._source.system.relics ?? 0;
+        if (legacy < 1 || faction.system.getRelics().length) continue;
+
+        const { armies, structures } = faction.getFactionMembers();
+        const holder = structures[0] ?? armies[0] ?? null;
+        const relics = Array.from({ length: legacy }, (_, index) => ({
+            name: `${faction.name}的遗物 #${index + 1}`,
+            type: 'relic',
+            system: {
+                lostLocation: holder ? '' : faction.name,
+                history: [{ turn: null, text: '由旧版遗物数量迁移' }]
+            }
+        }));
+
+        if (holder) {
+            await holder.createEmbeddedDocuments('Item', relics);
+        } else {
+            logger.warn(`${faction.name} has no army or structure to hold its relics, creating them as lost`);
+            await Item.implementation.createDocuments(relics);
+        }
+        count += legacy;
+    }
+
+    logger.debug(`Converted ${count} legacy relics into relic Items`);
+}
@@ -0,0 +1,200 @@
+/*
+ * System settings for Battlefield System
+ */
+
+import BattlefieldActor from './documents/BattlefieldActor.js';
+import { CampaignClockApp } from './apps/CampaignClockApp.js';
+
+/**
+ * Register all system settings
+ */
+export function registerSettings() {
+    game.settings.register(game.system.id, 'loggingLevel', {
+        name: 'battlefield-system.Settings.LoggingLevel.Name',
+        hint: 'battlefield-system.Settings.LoggingLevel.Hint',
+        scope: 'client',
+        config: true,
+        default: 'LOG',
+        type: String,
+        choices: {
+            NONE: 'battlefield-system.Settings.LoggingLevel.Choices.NONE',
+            ERROR: 'battlefield-system.Settings.LoggingLevel.Choices.ERROR',
+            WARN: 'battlefield-system.Settings.LoggingLevel.Choices.WARN',
+            INFO: 'battlefield-system.Settings.LoggingLevel.Choices.INFO',
+            LOG: 'battlefield-system.Settings.LoggingLevel.Choices.LOG',
+            DEBUG: 'battlefield-system.Settings.LoggingLevel.Choices.DEBUG'
+        }
+    });
+
+    game.settings.register(game.system.id, 'applyRepulsedStatus', {
+        name: 'battlefield-system.Settings.ApplyRepulsedStatus.Name',
+        hint: 'battlefield-system.Settings.ApplyRepulsedStatus.Hint',
+        scope: 'world',
+        config: true,
+        default: true,
+        type: Boolean
+    });
+
+    game.settings.register(game.system.id, 'armyInitiative', {
+        name: 'battlefield-system.Settings.ArmyInitiative.Name',
+        hint: 'battlefield-system.Settings.ArmyInitiative.Hint',
+        scope: 'world',
+        config: true,
+        default: '1d20 + floor(@powerRating / 10) + @pace',
+        type: String
+    });
+
+    game.settings.register(game.system.id, 'structureInitiative', {
+        name: 'battlefield-system.Settings.StructureInitiative.Name',
+        hint: 'battlefield-system.Settings.StructureInitiative.Hint',
+        scope: 'world',
+        config: true,
+        default: '1d20 + floor(@defenseValue / 5)',
+        type: String
+    });
+
+    game.settings.register(game.system.id, 'destroyedArmies', {
+        name: 'battlefield-system.Settings.DestroyedArmies.Name',
+        hint: 'battlefield-system.Settings.DestroyedArmies.Hint',
+        scope: 'world',
+        config: true,
+        default: 'record',
+        type: String,
+        choices: {
+            record: 'battlefield-system.Settings.DestroyedArmies.Choices.record',
+            delete: 'battlefield-system.Settings.DestroyedArmies.Choices.delete'
+        }
+    });
+
+    game.settings.register(game.system.id, 'statusExpiry', {
+        name: 'battlefield-system.Settings.StatusExpiry.Name',
+        hint: 'battlefield-system.Settings.StatusExpiry.Hint',
+        scope: 'world',
+        config: true,
+        default: 'disable',
+        type: String,
+        choices: {
+            disable: 'battlefield-system.Settings.StatusExpiry.Choices.disable',
+            delete: 'battlefield-system.Settings.StatusExpiry.Choices.delete'
+        }
+    });
+
+    game.settings.register(game.system.id, 'autoCollectIncome', {
+        name: 'battlefield-system.Settings.AutoCollectIncome.Name',
+        hint: 'battlefield-system.Settings.AutoCollectIncome.Hint',
+        scope: 'world',
+        config: true,
+        default: true,
+        type: Boolean
+    });
+
+    game.settings.register(game.system.id, 'autoPayUpkeep', {
+        name: 'battlefield-system.Settings.AutoPayUpkeep.Name',
+        hint: 'battlefield-system.Settings.AutoPayUpkeep.Hint',
+        scope: 'world',
+        config: true,
+        default: true,
+        type: Boolean
+    });
+
+    game.settings.register(game.system.id, 'rollHeroInjuries', {
+        name: 'battlefield-system.Settings.RollHeroInjuries.Name',
+        hint: 'battlefield-system.Settings.RollHeroInjuries.Hint',
+        scope: 'world',
+        config: true,
+        default: true,
+        type: Boolean
+    });
+
+    game.settings.register(game.system.id, 'injuryTable', {
+        name: 'battlefield-system.Settings.InjuryTable.Name',
+        hint: 'battlefield-system.Settings.InjuryTable.Hint',
+        scope: 'world',
+        config: true,
+        default: null,
+        type: new foundry.data.fields.DocumentUUIDField({ type: 'RollTable' })
+    });
+
+    game.settings.register(game.system.id, 'heroItemLimit', {
+        name: 'battlefield-system.Settings.HeroItemLimit.Name',
+        hint: 'battlefield-system.Settings.HeroItemLimit.Hint',
+        scope: 'world',
+        config: true,
+        default: 3,
+        type: Number
+    });
+
+    game.settings.register(game.system.id, 'treatyBreachPenalty', {
+        name: 'battlefield-system.Settings.TreatyBreachPenalty.Name',
+        hint: 'battlefield-system.Settings.TreatyBreachPenalty.Hint',
+        scope: 'world',
+        config: true,
+        default: 'status',
+        type: String,
+        choices: {
+            none: 'battlefield-system.Settings.TreatyBreachPenalty.Choices.none',
+            status: 'battlefield-system.Settings.TreatyBreachPenalty.Choices.status',
+            reparations: 'battlefield-system.Settings.TreatyBreachPenalty.Choices.reparations'
+        }
+    });
+
+    game.settings.register(game.system.id, 'relicVictory', {
+        name: 'battlefield-system.Settings.RelicVictory.Name',
+        hint: 'battlefield-system.Settings.RelicVictory.Hint',
+        scope: 'world',
+        config: true,
+        default: 0,
+        type: Number
+    });
+
+    game.settings.register(game.system.id, 'relicVictor', {
+        scope: 'world',
+        config: false,
+        default: '',
+        type: String
+    });
+
+    game.settings.register(game.system.id, 'eventTable', {
+        name: 'battlefield-system.Settings.EventTable.Name',
+        hint: 'battlefield-system.Settings.EventTable.Hint',
+        scope: 'world',
+        config: true,
+        default: null,
+        type: new foundry.data.fields.DocumentUUIDField({ type: 'RollTable' })
+    });
+
+    game.settings.register(game.system.id, 'drawEventEachTurn', {
+        name: 'battlefield-system.Settings.DrawEventEachTurn.Name',
+        hint: 'battlefield-system.Settings.DrawEventEachTurn.Hint',
+        scope: 'world',
+        config: true,
+        default: false,
+        type: Boolean
+    });
+
+    game.settings.register(game.system.id, 'migrationVersion', {
+        scope: 'world',
+        config: false,
+        default: 0,
+        type: Number
+    });
+
+    game.settings.register(game.system.id, 'campaignClock', {
+        scope: 'world',
+        config: false,
+        default: { turn: 1 },
+        type: Object,
+        onChange: () => {
+            // Heroes recover on a set turn, so armies with heroes re-prepare which equipment applies
+            const armies = BattlefieldActor.getAllActors().filter(actor => actor.isArmyActor() && actor.system.getHeroes().length);
+            for (const actor of armies) {
+                actor.reset();
+            }
+
+            // Refresh every open window that shows the current turn
+            for (const app of Object.values(ui.windows)) {
+                if (app instanceof ActorSheet || app instanceof CampaignClockApp) app.render(false);
+            }
+        }
+    });
+}
@@ -3,6 +3,16 @@
  */
 
 import logger from '../utils/Logger.js';
+import { CampaignClock } from '../campaign/CampaignClock.js';
+import BattlefieldUtils from '../../lib/utils.js';
+import { BattleResolver } from '../battle/BattleResolver.js';
+import { SiegeResolver } from '../battle/SiegeResolver.js';
+import { Relics } from '../campaign/Relics.js';
+import { CampaignEvents } from '../campaign/CampaignEvents.js';
+import { MapGraph } from '../campaign/MapGraph.js';
+import { Economy } from '../campaign/Economy.js';
+import { ArmyOrganization } from '../campaign/ArmyOrganization.js';
+import { Mercenaries } from '../campaign/Mercenaries.js';
 // TextEditor is a global Foundry VTT API - no need to import explicitly
 
 export class ArmySheet extends ActorSheet {
@@ -31,18 +41,136 @@ export class ArmySheet extends ActorSheet {
         // Add the actor's system data
         data.system = this.actor.system;
         
+        // Current campaign turn shown in the header, and whether movement was already rolled this turn
+        data.campaign = CampaignClock.getState();
+        data.movementRolled = this.actor.system.movementTurn === data.campaign.turn;
+        
+        // Faction reference dropdown, keeping unmatched legacy names selectable
+        const faction = this.actor.getHomeFaction();
+        const reference = this.actor.factionReference;
+        data.factionChoices = this.actor.constructor.getFactionChoices();
+        if (reference && !(reference in data.factionChoices)) {
+            data.factionChoices[reference] = faction ? faction.name : `${reference}（未关联）`;
+        }
+        data.faction = faction ? {
+            name: faction.name,
+            icon: faction.system.icon || faction.img
+        } : null;
+        
+        // Hero Items with a summary of their attributes and the equipment they carry
+        const formatEquipment = item => ({
+            id: item.id,
+            name: item.name,
+            img: item.img,
+            points: item.system.points,
+            typeLabel: game.i18n.localize(`TYPES.Item.${item.type}`)
+        });
+        data.heroItemLimit = game.settings.get(game.system.id, 'heroItemLimit');
+        data.heroes = this.actor.system.getHeroes().map(hero => ({
+            id: hero.id,
+            name: hero.name,
+            img: hero.img,
+            equipmentNotes: hero.system.equipment,
+            equipment: hero.system.getEquipment().map(formatEquipment),
+            equipmentPoints: hero.system.getEquipmentPoints(),
+            magicItemCount: hero.system.getEquipment().filter(item => item.type === 'magicItem').length,
+            injuryCount: hero.system.injuries.length,
+            isDead: hero.system.isDead,
+            recoveryTurn: hero.system.isOutOfAction ? hero.system.recoveryTurn : null,
+            attributes: Object.entries(CONFIG.BATTLEFIELD.heroAttributes).map(([key, label]) => ({
+                label,
+                value: hero.system.attributes[key] ?? 0
+            }))
+        }));
+        
+        // Magic items and mounts not carried by any hero
+        data.unassignedEquipment = this.actor.items
+            .filter(item => ['magicItem', 'mount'].includes(item.type) && !item.system.heroItem)
+            .map(formatEquipment);
+        
+        // Structures the army can garrison
+        data.garrisonChoices = Object.fromEntries(game.actors
+            .filter(actor => actor.isStructureActor())
+            .map(structure => [structure.uuid, structure.name]));
+        
+        // Map node the army is located at, placed by its token when not recorded
+        data.location = MapGraph.getLocation(this.actor)?.name ?? null;
+        
+        // Legendary legions with their bonus inputs
+        const bonusLabels = CONFIG.BATTLEFIELD.legionBonuses;
+        data.legions = this.actor.system.getLegendaryLegions().map(legion => ({
+            ...legion,
+            bonuses: Object.entries(bonusLabels).map(([key, label]) => ({
+                key,
+                label,
+                value: legion.bonuses?.[key] ?? 0
+            }))
+        }));
+        data.legionSummary = Object.entries(this.actor.system.getLegionBonuses())
+            .filter(([, value]) => value)
+            .map(([key, value]) => `${bonusLabels[key]} ${value > 0 ? '+' : ''}${value}`)
+            .join('，');
+        
+        // Upkeep deducted from the faction treasury each turn
+        data.upkeep = Economy.formatResources(Economy.computeUpkeep(this.actor));
+        
+        // Mercenary contract, and whether the GM can hire the army out or end its contract
+        const employer = this.actor.system.getEmployer();
+        data.contract = employer ? {
+            employer: employer.name,
+            endTurn: this.actor.system.getContractEnd(),
+            price: Economy.formatResources(this.actor.system.contract.price),
+            autoRenew: this.actor.system.contract.autoRenew
+        } : null;
+        data.hireable = game.user.isGM && !employer && Mercenaries.isMercenary(faction);
+        data.canEndContract = game.user.isGM && !!employer;
+        
         // Format status Items for display
         data.statusEffects = this.actor.getStatusItems().map(item => ({
             id: item.id,
             name: item.name,
             label: item.name,
             icon: item.img || 'icons/svg/hazard.svg',
-            isActive: true,
+            isActive: item.system?.isActive ?? true,
+            changes: item.system?.changes || [],
+            duration: item.system?.duration || {},
             system: {
                 description: item.system?.description || ''
             }
         }));
         
+        // Preset statuses offered by the picker
+        data.statusPresets = Object.values(BattlefieldUtils.getStatusEffects()).map(preset => ({
+            id: preset.id,
+            label: preset.label,
+            icon: preset.icon,
+            isActive: this.actor.statuses.has(preset.id)
+        }));
+        
+        // Options for the status change editor
+        data.statusChangeKeys = CONFIG.BATTLEFIELD.statusChangeKeys.army;
+        data.statusChangeModes = CONFIG.BATTLEFIELD.statusChangeModes;
+        
+        // Campaign events currently active on the army
+        data.activeEvents = CampaignEvents.getActiveEvents(this.actor);
+        
+        // Relics held here
+        data.relics = Relics.getRelics(this.actor).map(item => ({
+            id: item.id,
+            name: item.name,
+            img: item.img,
+            effect: item.system.effect
+        }));
+        
+        // Fields currently modified by active statuses are shown read-only
+        data.overridden = Object.fromEntries(
+            Object.keys(foundry.utils.flattenObject(this.actor.overrides || {}))
+                .map(key => [key.replace(/^system\./, ''), true])
+        );
+        
+        // Legion bonuses are added while the army is prepared, so the editable field shows the army's own rating
+        data.ownPowerRating = this.actor._source.system.powerRating;
+        
         return data;
     }
 
@@ -59,9 +187,26 @@ export class ArmySheet extends ActorSheet {
         // Remove hero buttons
         html.find('.remove-hero').click(this._onRemoveHero.bind(this));
         
+        // Edit hero buttons
+        html.find('.edit-hero').click(this._onEditHero.bind(this));
+        
+        // Magic item and mount buttons
+        html.find('.edit-equipment').click(this._onEditHero.bind(this));
+        html.find('.remove-equipment').click(this._onRemoveEquipment.bind(this));
+        
+        // End active campaign events
+        html.find('.end-event').click(this._onEndEvent.bind(this));
+        
+        // Relic buttons
+        html.find('.edit-relic').click(this._onEditRelic.bind(this));
+        html.find('.lose-relic').click(this._onLoseRelic.bind(this));
+        
         // Add status button
         html.find('.add-status-btn[data-action="create-status"]').click(this._onAddCustomStatus.bind(this));
         
+        // Preset status picker
+        html.find('.add-status[data-status-preset]').click(this._onTogglePresetStatus.bind(this));
+        
         // Remove status Item buttons
         html.find('.remove-status').click(this._onRemoveStatus.bind(this));
         
@@ -69,9 +214,33 @@ export class ArmySheet extends ActorSheet {
         html.find('.status-name').change(this._onStatusNameChange.bind(this));
         html.find('.status-description-input').change(this._onStatusDescriptionChange.bind(this));
         
+        // Status activation and numeric change handlers
+        html.find('.status-active-toggle').change(this._onToggleStatusActive.bind(this));
+        html.find('.add-status-change').click(this._onAddStatusChange.bind(this));
+        html.find('.remove-status-change').click(this._onRemoveStatusChange.bind(this));
+        html.find('.status-change-input').change(this._onStatusChangeInput.bind(this));
+        html.find('.status-duration-input').change(this._onStatusDurationChange.bind(this));
+        
         // Dice roll button
         html.find('.dice-roll-btn[data-action="roll-dice"]').click(this._onRollDice.bind(this));
         
+        // Battle button
+        html.find('.dice-roll-btn[data-action="start-battle"]').click(this._onStartBattle.bind(this));
+        
+        // Siege button
+        html.find('.dice-roll-btn[data-action="start-siege"]').click(this._onStartSiege.bind(this));
+        
+        // March along the map graph
+        html.find('.dice-roll-btn[data-action="march"]').click(this._onMarch.bind(this));
+        
+        // Split and merge buttons
+        html.find('.dice-roll-btn[data-action="split-army"]').click(this._onSplitArmy.bind(this));
+        html.find('.dice-roll-btn[data-action="merge-army"]').click(this._onMergeArmy.bind(this));
+        
+        // Mercenary contract buttons
+        html.find('.dice-roll-btn[data-action="hire-army"]').click(this._onHireArmy.bind(this));
+        html.find('.dice-roll-btn[data-action="end-contract"]').click(this._onEndContract.bind(this));
+        
         // Add legion button
         html.find('.add-legion').click(this._onAddLegion.bind(this));
         
@@ -81,7 +250,7 @@ export class ArmySheet extends ActorSheet {
     }
 
     /**
-     * Handle adding a new hero to the army
+     * Handle adding a new hero Item to the army
      * @param {Event} event - The click event
      * @private
      */
@@ -89,20 +258,11 @@ export class ArmySheet extends ActorSheet {
         event.preventDefault();
         
         try {
-            // Get current heroes
-            const heroes = this.actor.system.heroes || [];
-            
-            // Add new hero
-            heroes.push({
-                name: 'New Hero',
-                equipment: '',
-                traits: ''
-            });
-            
-            // Update the actor
-            await this.actor.update({
-                'system.heroes': heroes
-            });
+            const [hero] = await this.actor.createEmbeddedDocuments('Item', [{
+                name: '新英雄',
+                type: 'hero'
+            }]);
+            hero.sheet.render(true);
             
             logger.debug(`Added new hero to army ${this.actor.name}`);
         } catch (err) {
@@ -112,7 +272,17 @@ export class ArmySheet extends ActorSheet {
     }
 
     /**
-     * Handle removing a hero from the army
+     * Handle opening the sheet of a hero, magic item or mount Item
+     * @param {Event} event - The click event
+     * @private
+     */
+    _onEditHero(event) {
+        event.preventDefault();
+        this.actor.items.get(event.currentTarget.dataset.itemId)?.sheet.render(true);
+    }
+
+    /**
+     * Handle removing a hero Item from the army
      * @param {Event} event - The click event
      * @private
      */
@@ -120,42 +290,77 @@ export class ArmySheet extends ActorSheet {
         event.preventDefault();
         
         try {
-            // Get the index of the hero to remove
-            const index = parseInt(event.currentTarget.dataset.index);
-            
-            // Get current heroes
-            const heroes = this.actor.system.heroes || [];
-            
-            // Check if index is valid
-            if (isNaN(index)) {
-                throw new Error('Invalid hero index');
+            const hero = this.actor.items.get(event.currentTarget.dataset.itemId);
+            if (!hero) {
+                throw new Error('Hero not found');
             }
             
-            // Remove the hero
-            if (index >= 0 && index < heroes.length) {
-                const heroName = heroes[index].name;
-                heroes.splice(index, 1);
-                
-                // Update the actor
-                await this.actor.update({
-                    'system.heroes': heroes
-                });
-                
-                logger.debug(`Removed hero ${heroName} from army ${this.actor.name}`);
-            } else {
-                throw new Error('Hero index out of range');
-            }
+            await hero.delete();
+            logger.debug(`Removed hero ${hero.name} from army ${this.actor.name}`);
         } catch (err) {
             logger.error(`Failed to remove hero from army ${this.actor.name}:`, err);
             ui.notifications.error(`Failed to remove hero: ${err.message}`);
         }
     }
 
+    /**
+     * Handle removing a magic item or mount from the army
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onRemoveEquipment(event) {
+        event.preventDefault();
+        
+        try {
+            const item = this.actor.items.get(event.currentTarget.dataset.itemId);
+            if (!item) {
+                throw new Error('Item not found');
+            }
+            
+            await item.delete();
+            logger.debug(`Removed ${item.name} from army ${this.actor.name}`);
+        } catch (err) {
+            logger.error(`Failed to remove item from army ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to remove item: ${err.message}`);
+        }
+    }
+
     /**
      * Handle adding a status effect to the army
      * @param {Event} event - The click event
      * @private
      */
+    /**
+     * Handle ending an active campaign event early
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onEndEvent(event) {
+        event.preventDefault();
+        await CampaignEvents.end(this.actor, event.currentTarget.dataset.eventId);
+    }
+
+    /**
+     * Handle opening the sheet of a relic
+     * @param {Event} event - The click event
+     * @private
+     */
+    _onEditRelic(event) {
+        event.preventDefault();
+        this.actor.items.get(event.currentTarget.dataset.itemId)?.sheet.render(true);
+    }
+
+    /**
+     * Handle losing a relic: it leaves this army and moves to the Items directory
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onLoseRelic(event) {
+        event.preventDefault();
+        const relic = this.actor.items.get(event.currentTarget.dataset.itemId);
+        if (relic) await Relics.transfer(relic, null);
+    }
+
     /**
      * Handle adding a custom status Item to the army
      * @param {Event} event - The click event
@@ -175,6 +380,25 @@ export class ArmySheet extends ActorSheet {
         }
     }
     
+    /**
+     * Handle toggling a preset status from the picker
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onTogglePresetStatus(event) {
+        event.preventDefault();
+        
+        try {
+            const statusId = event.currentTarget.dataset.statusPreset;
+            const active = await this.actor.toggleStatusEffect(statusId);
+            
+            logger.debug(`Toggled preset status ${statusId} (${active}) on army ${this.actor.name}`);
+        } catch (err) {
+            logger.error(`Failed to toggle preset status on army ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to toggle status: ${err.message}`);
+        }
+    }
+    
     /**
      * Handle status name change
      * @param {Event} event - The change event
@@ -233,6 +457,130 @@ export class ArmySheet extends ActorSheet {
         }
     }
 
+    /**
+     * Handle toggling whether a status Item is active
+     * @param {Event} event - The change event
+     * @private
+     */
+    async _onToggleStatusActive(event) {
+        event.preventDefault();
+        
+        try {
+            const statusItem = this.actor.items.get(event.currentTarget.dataset.statusId);
+            
+            if (statusItem) {
+                await statusItem.update({ 'system.isActive': event.currentTarget.checked });
+                logger.debug(`Set status ${statusItem.name} active=${event.currentTarget.checked} for army ${this.actor.name}`);
+            }
+        } catch (err) {
+            logger.error(`Failed to toggle status for army ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to toggle status: ${err.message}`);
+        }
+    }
+
+    /**
+     * Handle adding a numeric change to a status Item
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onAddStatusChange(event) {
+        event.preventDefault();
+        
+        try {
+            const statusItem = this.actor.items.get(event.currentTarget.dataset.statusId);
+            
+            if (statusItem) {
+                const changes = statusItem.system.toObject().changes;
+                changes.push({
+                    key: Object.keys(CONFIG.BATTLEFIELD.statusChangeKeys.army)[0],
+                    mode: CONST.ACTIVE_EFFECT_MODES.ADD,
+                    value: '0'
+                });
+                await statusItem.update({ 'system.changes': changes });
+                logger.debug(`Added change to status ${statusItem.name} for army ${this.actor.name}`);
+            }
+        } catch (err) {
+            logger.error(`Failed to add status change for army ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to add status change: ${err.message}`);
+        }
+    }
+
+    /**
+     * Handle removing a numeric change from a status Item
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onRemoveStatusChange(event) {
+        event.preventDefault();
+        
+        try {
+            const { statusId, index } = event.currentTarget.dataset;
+            const statusItem = this.actor.items.get(statusId);
+            
+            if (statusItem) {
+                const changes = statusItem.system.toObject().changes;
+                changes.splice(parseInt(index), 1);
+                await statusItem.update({ 'system.changes': changes });
+                logger.debug(`Removed change ${index} from status ${statusItem.name} for army ${this.actor.name}`);
+            }
+        } catch (err) {
+            logger.error(`Failed to remove status change for army ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to remove status change: ${err.message}`);
+        }
+    }
+
+    /**
+     * Handle editing the key, mode or value of a status change
+     * @param {Event} event - The change event
+     * @private
+     */
+    async _onStatusChangeInput(event) {
+        event.preventDefault();
+        
+        try {
+            const { statusId, index, field } = event.currentTarget.dataset;
+            const statusItem = this.actor.items.get(statusId);
+            
+            if (statusItem) {
+                const changes = statusItem.system.toObject().changes;
+                const value = event.currentTarget.value;
+                changes[parseInt(index)][field] = field === 'mode' ? parseInt(value) : value;
+                await statusItem.update({ 'system.changes': changes });
+                logger.debug(`Updated change ${index} of status ${statusItem.name} for army ${this.actor.name}`);
+            }
+        } catch (err) {
+            logger.error(`Failed to update status change for army ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to update status change: ${err.message}`);
+        }
+    }
+
+    /**
+     * Handle editing the remaining duration of a status Item
+     * @param {Event} event - The change event
+     * @private
+     */
+    async _onStatusDurationChange(event) {
+        event.preventDefault();
+        
+        try {
+            const { statusId, field } = event.currentTarget.dataset;
+            const statusItem = this.actor.items.get(statusId);
+            
+            if (statusItem) {
+                // An empty input means the status lasts indefinitely
+                const raw = event.currentTarget.value.trim();
+                const value = raw === '' ? null : Math.max(parseInt(raw) || 0, 0);
+                await statusItem.update({
+                    'system.duration': { ...statusItem.system.duration, [field]: value }
+                });
+                logger.debug(`Updated ${field} duration of status ${statusItem.name} for army ${this.actor.name}`);
+            }
+        } catch (err) {
+            logger.error(`Failed to update status duration for army ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to update status duration: ${err.message}`);
+        }
+    }
+
     /**
      * Handle removing a status Item from the army
      * @param {Event} event - The click event
@@ -258,6 +606,136 @@ export class ArmySheet extends ActorSheet {
         }
     }
 
+    /**
+     * Handle dropping a Faction actor onto the sheet to assign it as the owner
+     * @param {DragEvent} event - The drop event
+     * @param {Object} data - The drop data
+     * @private
+     */
+    async _onDropActor(event, data) {
+        const dropped = await Actor.implementation.fromDropData(data);
+        if (!dropped?.isFactionActor?.()) return super._onDropActor(event, data);
+        if (!this.actor.isOwner) return false;
+        
+        try {
+            await this.actor.update({ 'system.faction': dropped.uuid });
+            logger.debug(`Assigned faction ${dropped.name} to army ${this.actor.name}`);
+            return dropped;
+        } catch (err) {
+            logger.error(`Failed to assign faction to army ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to assign faction: ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Start dragging a hero or one of the items it carries
+     * Equipment rows sit inside hero cards, so only the innermost row provides the drag data.
+     * @param {DragEvent} event - The drag start event
+     * @private
+     */
+    _onDragStart(event) {
+        if (event.currentTarget !== event.target.closest?.('.item')) return;
+        return super._onDragStart(event);
+    }
+
+    /**
+     * Handle dropping an Item onto the sheet
+     * Heroes dropped from another army move here, together with their equipment, instead of being copied.
+     * Magic items and mounts are given to the hero they are dropped on.
+     * @param {DragEvent} event - The drop event
+     * @param {Object} data - The drop data
+     * @private
+     */
+    async _onDropItem(event, data) {
+        const item = await Item.implementation.fromDropData(data);
+        if (['magicItem', 'mount'].includes(item?.type)) {
+            return this._onDropEquipment(event, item);
+        }
+        if (item?.type === 'relic') {
+            return this.actor.isOwner ? Relics.transfer(item, this.actor) : false;
+        }
+        
+        const source = item?.parent;
+        if (item?.type !== 'hero' || !source?.isArmyActor?.() || source === this.actor) {
+            return super._onDropItem(event, data);
+        }
+        if (!this.actor.isOwner) return false;
+        
+        try {
+            const [hero] = await this.actor.createEmbeddedDocuments('Item', [item.toObject()]);
+            const equipment = item.system.getEquipment();
+            if (equipment.length) {
+                await this.actor.createEmbeddedDocuments('Item', equipment.map(other => {
+                    const itemData = other.toObject();
+                    itemData.system.hero = hero.id;
+                    return itemData;
+                }));
+            }
+            
+            if (source.isOwner) {
+                await source.deleteEmbeddedDocuments('Item', [item.id, ...equipment.map(other => other.id)]);
+            } else {
+                ui.notifications.warn(`没有权限从 ${source.name} 移除英雄 ${item.name}，已改为复制`);
+            }
+            
+            logger.debug(`Moved hero ${item.name} from army ${source.name} to ${this.actor.name}`);
+            return hero;
+        } catch (err) {
+            logger.error(`Failed to move hero to army ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to move hero: ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Handle dropping a magic item or mount onto a hero card, or outside any hero to unassign it
+     * Items from another army move here; items from the sidebar or a compendium are copied.
+     * @param {DragEvent} event - The drop event
+     * @param {Item} item - The dropped magic item or mount
+     * @returns {Promise<Item|boolean>} The item now held by this army, or false
+     * @private
+     */
+    async _onDropEquipment(event, item) {
+        if (!this.actor.isOwner) return false;
+        
+        const heroId = event.target.closest?.('[data-hero-id]')?.dataset.heroId ?? '';
+        const hero = this.actor.items.get(heroId);
+        if (hero) {
+            const blocker = hero.system.getEquipBlocker(item.parent === this.actor ? item : { type: item.type });
+            if (blocker) {
+                ui.notifications.warn(blocker);
+                return false;
+            }
+        }
+        
+        try {
+            const source = item.parent;
+            if (source === this.actor) {
+                await item.update({ 'system.hero': hero?.id ?? '' });
+                logger.debug(`Gave ${item.name} to ${hero?.name ?? 'no hero'} in army ${this.actor.name}`);
+                return item;
+            }
+            
+            const itemData = item.toObject();
+            itemData.system.hero = hero?.id ?? '';
+            const [created] = await this.actor.createEmbeddedDocuments('Item', [itemData]);
+            
+            if (source?.isOwner) {
+                await item.delete();
+            } else if (source) {
+                ui.notifications.warn(`没有权限从 ${source.name} 移除 ${item.name}，已改为复制`);
+            }
+            
+            logger.debug(`Added ${item.name} to ${hero?.name ?? 'no hero'} in army ${this.actor.name}`);
+            return created;
+        } catch (err) {
+            logger.error(`Failed to give ${item.name} to a hero in army ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to add item: ${err.message}`);
+            return false;
+        }
+    }
+
     /**
      * Handle form submission for the sheet
      * @param {Event} event - The form submission event
@@ -266,46 +744,29 @@ export class ArmySheet extends ActorSheet {
      */
     async _updateObject(event, formData) {
         try {
-            // Process hero data
-            const heroUpdates = {};
-            const heroes = this.actor.system.heroes || [];
-            
-            for (let i = 0; i < heroes.length; i++) {
-                if (formData[`hero-name-${i}`] !== undefined) {
-                    heroUpdates[`system.heroes.${i}.name`] = formData[`hero-name-${i}`];
-                    delete formData[`hero-name-${i}`];
-                }
-                if (formData[`hero-equipment-${i}`] !== undefined) {
-                    heroUpdates[`system.heroes.${i}.equipment`] = formData[`hero-equipment-${i}`];
-                    delete formData[`hero-equipment-${i}`];
-                }
-                if (formData[`hero-traits-${i}`] !== undefined) {
-                    heroUpdates[`system.heroes.${i}.traits`] = formData[`hero-traits-${i}`];
-                    delete formData[`hero-traits-${i}`];
-                }
-            }
-            
             // Process legendary legion data
             const legionUpdates = {};
             const legions = this.actor.system.legendaryLegions || [];
+            const legionFields = ['name', 'banner', 'bannerImg', 'rules', 'isActive'];
+            const bonusFields = Object.keys(CONFIG.BATTLEFIELD.legionBonuses);
             
             for (let i = 0; i < legions.length; i++) {
-                if (formData[`legion-name-${i}`] !== undefined) {
-                    legionUpdates[`system.legendaryLegions.${i}.name`] = formData[`legion-name-${i}`];
-                    delete formData[`legion-name-${i}`];
-                }
-                if (formData[`legion-banner-${i}`] !== undefined) {
-                    legionUpdates[`system.legendaryLegions.${i}.banner`] = formData[`legion-banner-${i}`];
-                    delete formData[`legion-banner-${i}`];
+                for (const field of legionFields) {
+                    if (formData[`legion-${field}-${i}`] !== undefined) {
+                        legionUpdates[`system.legendaryLegions.${i}.${field}`] = formData[`legion-${field}-${i}`];
+                        delete formData[`legion-${field}-${i}`];
+                    }
                 }
-                if (formData[`legion-rules-${i}`] !== undefined) {
-                    legionUpdates[`system.legendaryLegions.${i}.rules`] = formData[`legion-rules-${i}`];
-                    delete formData[`legion-rules-${i}`];
+                for (const field of bonusFields) {
+                    if (formData[`legion-${field}-${i}`] !== undefined) {
+                        legionUpdates[`system.legendaryLegions.${i}.bonuses.${field}`] = parseInt(formData[`legion-${field}-${i}`]) || 0;
+                        delete formData[`legion-${field}-${i}`];
+                    }
                 }
             }
             
-            // Update the actor with the form data, hero updates, and legion updates
-            await this.actor.update({...formData, ...heroUpdates, ...legionUpdates});
+            // Update the actor with the form data and legion updates
+            await this.actor.update({...formData, ...legionUpdates});
             
             logger.debug(`Updated army sheet for ${this.actor.name}`);
         } catch (err) {
@@ -322,9 +783,15 @@ export class ArmySheet extends ActorSheet {
     async _onRollDice(event) {
         event.preventDefault();
         
+        // Movement is rolled once per campaign turn
+        if (this.actor.system.movementTurn === CampaignClock.turn) {
+            ui.notifications.warn(`${this.actor.name} 本回合已经掷过移动距离`);
+            return;
+        }
+        
         try {
-            // Create a 1d3 roll
-            const roll = new Roll("1d3");
+            // Create a 1d3 roll, adjusted by the movement modifiers of active statuses
+            const roll = new Roll("floor((1d3 + @movement.bonus) * @movement.multiplier)", this.actor.getRollData());
             
             // Roll the dice
             await roll.roll();
@@ -345,7 +812,13 @@ export class ArmySheet extends ActorSheet {
                 flavor: rollData.flavor
             });
             
-            logger.debug(`Rolled movement distance 1d3 for army ${this.actor.name}: ${roll.total}`);
+            // The roll sets how many steps the army may march this turn
+            await this.actor.update({
+                'system.movesLeft': Math.max(roll.total, 0),
+                'system.movementTurn': CampaignClock.turn
+            });
+            
+            logger.debug(`Rolled movement distance for army ${this.actor.name}: ${roll.total}`);
             
         } catch (err) {
             logger.error(`Failed to roll movement distance for army ${this.actor.name}:`, err);
@@ -353,6 +826,78 @@ export class ArmySheet extends ActorSheet {
         }
     }
 
+    /**
+     * Handle starting a battle against other armies
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onStartBattle(event) {
+        event.preventDefault();
+        await BattleResolver.promptOpponent(this.actor);
+    }
+
+    /**
+     * Handle starting an assault against a structure
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onStartSiege(event) {
+        event.preventDefault();
+        await SiegeResolver.promptTarget(this.actor);
+    }
+
+    /**
+     * Handle marching the army to a reachable structure
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onMarch(event) {
+        event.preventDefault();
+        await MapGraph.promptMove(this.actor);
+    }
+
+    /**
+     * Handle splitting part of the army off into a new army
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onSplitArmy(event) {
+        event.preventDefault();
+        const detachment = await ArmyOrganization.promptSplit(this.actor);
+        detachment?.sheet.render(true);
+    }
+
+    /**
+     * Handle merging the army into another army of its faction
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onMergeArmy(event) {
+        event.preventDefault();
+        const target = await ArmyOrganization.promptMerge(this.actor);
+        target?.sheet.render(true);
+    }
+
+    /**
+     * Handle hiring the mercenary army out to another faction
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onHireArmy(event) {
+        event.preventDefault();
+        await Mercenaries.promptHire(this.actor);
+    }
+
+    /**
+     * Handle ending the army's mercenary contract early
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onEndContract(event) {
+        event.preventDefault();
+        await Mercenaries.promptEnd(this.actor);
+    }
+
     /**
      * Handle adding a new legendary legion to the army
      * @param {Event} event - The click event
@@ -369,7 +914,10 @@ export class ArmySheet extends ActorSheet {
             legions.push({
                 name: '新传奇军团',
                 banner: '',
-                rules: ''
+                bannerImg: '',
+                rules: '',
+                bonuses: {},
+                isActive: true
             });
             
             // Update the actor
@@ -0,0 +1,133 @@
+/*
+ * EquipmentSheet - Item sheet for Magic Item and Mount items
+ */
+
+import logger from '../utils/Logger.js';
+
+export class EquipmentSheet extends ItemSheet {
+    /**
+     * Define default rendering options for the sheet
+     */
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            classes: ['battlefield-system', 'sheet', 'item', 'equipment'],
+            template: 'systems/battlefield-system/templates/item/equipment-sheet.hbs',
+            width: 480,
+            height: 520
+        });
+    }
+
+    /**
+     * Prepare data for rendering the sheet
+     */
+    getData() {
+        const data = super.getData();
+
+        // Add the item's system data
+        data.system = this.item.system;
+        data.typeLabel = game.i18n.localize(`TYPES.Item.${this.item.type}`);
+
+        // Options for the change editor
+        data.changeKeys = CONFIG.BATTLEFIELD.statusChangeKeys.army;
+        data.changeModes = CONFIG.BATTLEFIELD.statusChangeModes;
+
+        // The hero carrying the item, if any
+        const hero = this.item.system.heroItem;
+        data.hero = hero ? { name: hero.name, army: hero.actor.name } : null;
+
+        return data;
+    }
+
+    /**
+     * Activate event listeners using the prepared sheet HTML
+     * @param {HTMLElement} html - The prepared HTML object ready to be rendered into the DOM
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        // Add change button
+        html.find('.add-change').click(this._onAddChange.bind(this));
+
+        // Remove change buttons
+        html.find('.remove-change').click(this._onRemoveChange.bind(this));
+    }
+
+    /**
+     * Handle adding a numeric change to the item
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onAddChange(event) {
+        event.preventDefault();
+
+        try {
+            const changes = this.item.system.toObject().changes;
+            changes.push({
+                key: Object.keys(CONFIG.BATTLEFIELD.statusChangeKeys.army)[0],
+                mode: CONST.ACTIVE_EFFECT_MODES.ADD,
+                value: '0'
+            });
+
+            await this.item.update({ 'system.changes': changes });
+            logger.debug(`Added change to ${this.item.name}`);
+        } catch (err) {
+            logger.error(`Failed to add change to ${this.item.name}:`, err);
+            ui.notifications.error(`Failed to add change: ${err.message}`);
+        }
+    }
+
+    /**
+     * Handle removing a numeric change from the item
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onRemoveChange(event) {
+        event.preventDefault();
+
+        try {
+            const index = parseInt(event.currentTarget.dataset.index);
+            const changes = this.item.system.toObject().changes;
+
+            if (isNaN(index) || index < 0 || index >= changes.length) {
+                throw new Error('Change index out of range');
+            }
+
+            changes.splice(index, 1);
+            await this.item.update({ 'system.changes': changes });
+            logger.debug(`Removed change ${index} from ${this.item.name}`);
+        } catch (err) {
+            logger.error(`Failed to remove change from ${this.item.name}:`, err);
+            ui.notifications.error(`Failed to remove change: ${err.message}`);
+        }
+    }
+
+    /**
+     * Handle form submission for the sheet
+     * @param {Event} event - The form submission event
+     * @param {Object} formData - The form data to process
+     * @private
+     */
+    async _updateObject(event, formData) {
+        try {
+            // Process change data
+            const changes = this.item.system.toObject().changes;
+
+            for (let i = 0; i < changes.length; i++) {
+                for (const field of ['key', 'mode', 'value']) {
+                    if (formData[`change-${field}-${i}`] !== undefined) {
+                        const value = formData[`change-${field}-${i}`];
+                        changes[i][field] = field === 'mode' ? parseInt(value) : String(value);
+                        delete formData[`change-${field}-${i}`];
+                    }
+                }
+            }
+
+            await this.item.update({ ...formData, 'system.changes': changes });
+
+            logger.debug(`Updated equipment sheet for ${this.item.name}`);
+        } catch (err) {
+            logger.error(`Failed to update equipment sheet for ${this.item.name}:`, err);
+            ui.notifications.error(`Failed to save changes: ${err.message}`);
+        }
+    }
+}
@@ -3,6 +3,10 @@
  */
 
 import logger from '../utils/Logger.js';
+import { CampaignClock } from '../campaign/CampaignClock.js';
+import { Diplomacy } from '../campaign/Diplomacy.js';
+import { CampaignEvents } from '../campaign/CampaignEvents.js';
+import { Mercenaries } from '../campaign/Mercenaries.js';
 
 export class FactionSheet extends ActorSheet {
     /**
@@ -30,6 +34,102 @@ export class FactionSheet extends ActorSheet {
         // Add the actor's system data
         data.system = this.actor.system;
         
+        // Current campaign turn shown in the header
+        data.campaign = CampaignClock.getState();
+        
+        // Armies and structures belonging to the faction, with totals
+        const { armies, structures } = this.actor.getFactionMembers();
+        data.armies = armies.map(army => ({
+            uuid: army.uuid,
+            name: army.name,
+            img: army.img,
+            size: army.system.size || 0,
+            powerRating: army.system.powerRating || 0,
+            contractEnd: army.system.getContractEnd()
+        }));
+        
+        // Mercenary factions also list their armies serving other factions under contract
+        data.isMercenary = Mercenaries.isMercenary(this.actor);
+        data.hiredOut = data.isMercenary ? Mercenaries.getArmies(this.actor)
+            .filter(army => army.system.getEmployer())
+            .map(army => ({
+                uuid: army.uuid,
+                name: army.name,
+                img: army.img,
+                employer: army.system.getEmployer().name,
+                endTurn: army.system.getContractEnd(),
+                autoRenew: army.system.contract.autoRenew
+            })) : [];
+        data.structures = structures.map(structure => ({
+            uuid: structure.uuid,
+            name: structure.name,
+            img: structure.img,
+            type: structure.system.getFullType(),
+            defenseValue: structure.system.defenseValue || 0
+        }));
+        
+        const totalPower = data.armies.reduce((total, army) => total + army.powerRating, 0);
+        data.totals = {
+            armyCount: data.armies.length,
+            totalSize: data.armies.reduce((total, army) => total + army.size, 0),
+            averagePower: data.armies.length ? Math.round(totalPower / data.armies.length * 10) / 10 : 0,
+            structureCount: data.structures.length,
+            totalDefense: data.structures.reduce((total, structure) => total + structure.defenseValue, 0)
+        };
+        
+        // Campaign events currently active on the faction
+        data.activeEvents = CampaignEvents.getActiveEvents(this.actor);
+        
+        // Relics held by the faction's armies and structures
+        data.relics = this.actor.system.getRelics().map(relic => ({
+            uuid: relic.uuid,
+            name: relic.name,
+            img: relic.img,
+            holder: relic.actor.name
+        }));
+        
+        // Relations with other factions, newest deeds last
+        const { stances, treatyTypes } = CONFIG.BATTLEFIELD.diplomacy;
+        data.stanceChoices = Object.fromEntries(Object.entries(stances).map(([key, stance]) => [key, stance.label]));
+        data.relations = this.actor.system.relations.map(relation => {
+            const other = fromUuidSync(relation.faction);
+            return {
+                uuid: relation.faction,
+                name: other?.name ?? `${relation.faction}（已删除）`,
+                icon: other ? other.system.icon || other.img : 'icons/svg/hazard.svg',
+                exists: !!other,
+                stance: relation.stance,
+                deeds: relation.deeds,
+                treaties: relation.treaties.map(treaty => {
+                    const end = Diplomacy.getTreatyEnd(treaty);
+                    return {
+                        ...treaty,
+                        ...treatyTypes[treaty.type],
+                        endTurn: end,
+                        remaining: end === null ? null : Math.max(0, end - data.campaign.turn)
+                    };
+                })
+            };
+        });
+        data.relationCandidates = Object.fromEntries(Diplomacy.getFactions()
+            .filter(other => other !== this.actor && !this.actor.system.getRelation(other))
+            .map(other => [other.uuid, other.name]));
+        if (!Object.keys(data.relationCandidates).length) data.relationCandidates = null;
+        
+        // Legacy free-text enemies and allies that could not be linked to a faction
+        data.legacyRelations = [
+            ...(this.actor.system.enemies || []).map((entry, index) => ({ ...entry, index, list: 'enemies', label: stances.enemy.label })),
+            ...(this.actor.system.allies || []).map((entry, index) => ({ ...entry, index, list: 'allies', label: stances.ally.label }))
+        ];
+        
+        // Treasury, one entry per resource type
+        data.resources = Object.entries(CONFIG.BATTLEFIELD.resourceTypes).map(([type, config]) => ({
+            type,
+            label: game.i18n.localize(config.label),
+            icon: config.icon,
+            amount: this.actor.system.treasury?.[type] ?? 0
+        }));
+        
         return data;
     }
 
@@ -40,168 +140,187 @@ export class FactionSheet extends ActorSheet {
     async activateListeners(html) {
         super.activateListeners(html);
         
-        // Add enemy button
-        html.find('.add-enemy').click(this._onAddEnemy.bind(this));
+        // End active campaign events
+        html.find('.end-event').click(this._onEndEvent.bind(this));
         
-        // Remove enemy buttons
-        html.find('.remove-enemy').click(this._onRemoveEnemy.bind(this));
+        // Relation controls
+        html.find('.add-relation').click(this._onAddRelation.bind(this));
+        html.find('.remove-relation').click(this._onRemoveRelation.bind(this));
+        html.find('.relation-stance').change(this._onChangeStance.bind(this));
+        html.find('.relation-deed-input').change(this._onAddDeed.bind(this));
+        html.find('.remove-deed').click(this._onRemoveDeed.bind(this));
+        html.find('.remove-legacy-relation').click(this._onRemoveLegacyRelation.bind(this));
         
-        // Add ally button
-        html.find('.add-ally').click(this._onAddAlly.bind(this));
+        // Treaty controls
+        html.find('.sign-treaty').click(this._onSignTreaty.bind(this));
+        html.find('.end-treaty').click(this._onEndTreaty.bind(this));
         
-        // Remove ally buttons
-        html.find('.remove-ally').click(this._onRemoveAlly.bind(this));
+        // Open related factions and relics
+        html.find('.relation-faction[data-uuid]').click(this._onOpenMember.bind(this));
+        html.find('.faction-relic[data-uuid]').click(this._onOpenMember.bind(this));
+        
+        // Open member armies and structures
+        html.find('.faction-member[data-uuid]').click(this._onOpenMember.bind(this));
     }
 
     /**
-     * Handle form submission for the sheet
-     * @param {Event} event - The form submission event
-     * @param {Object} formData - The form data to process
+     * Handle opening the sheet of an army or structure belonging to the faction
+     * @param {Event} event - The click event
      * @private
      */
-    async _updateObject(event, formData) {
-        try {
-            // Process enemy data
-            const enemyUpdates = {};
-            const enemies = this.actor.system.enemies || [];
-            
-            for (let i = 0; i < enemies.length; i++) {
-                if (formData[`enemy-name-${i}`] !== undefined) {
-                    enemyUpdates[`system.enemies.${i}.name`] = formData[`enemy-name-${i}`];
-                    delete formData[`enemy-name-${i}`];
-                }
-                if (formData[`enemy-deeds-${i}`] !== undefined) {
-                    enemyUpdates[`system.enemies.${i}.deeds`] = formData[`enemy-deeds-${i}`];
-                    delete formData[`enemy-deeds-${i}`];
-                }
-            }
-            
-            // Process ally data
-            const allyUpdates = {};
-            const allies = this.actor.system.allies || [];
-            
-            for (let i = 0; i < allies.length; i++) {
-                if (formData[`ally-name-${i}`] !== undefined) {
-                    allyUpdates[`system.allies.${i}.name`] = formData[`ally-name-${i}`];
-                    delete formData[`ally-name-${i}`];
-                }
-                if (formData[`ally-deeds-${i}`] !== undefined) {
-                    allyUpdates[`system.allies.${i}.deeds`] = formData[`ally-deeds-${i}`];
-                    delete formData[`ally-deeds-${i}`];
-                }
-            }
-            
-            // Update the actor with the form data, enemy updates, and ally updates
-            await this.actor.update({...formData, ...enemyUpdates, ...allyUpdates});
-            
-            logger.debug(`Updated faction sheet for ${this.actor.name}`);
-        } catch (err) {
-            logger.error(`Failed to update faction sheet for ${this.actor.name}:`, err);
-            ui.notifications.error(`Failed to save changes: ${err.message}`);
-        }
+    _onOpenMember(event) {
+        event.preventDefault();
+        const member = fromUuidSync(event.currentTarget.dataset.uuid);
+        member?.sheet.render(true);
     }
 
     /**
-     * Handle adding a new enemy
+     * Handle ending an active campaign event early
      * @param {Event} event - The click event
      * @private
      */
-    async _onAddEnemy(event) {
+    async _onEndEvent(event) {
         event.preventDefault();
-        try {
-            const enemies = this.actor.system.enemies || [];
-            enemies.push({
-                name: '新仇敌',
-                deeds: ''
-            });
-            await this.actor.update({
-                'system.enemies': enemies
-            });
-            logger.debug(`Added new enemy to faction ${this.actor.name}`);
-        } catch (err) {
-            logger.error(`Failed to add enemy to faction ${this.actor.name}:`, err);
-            ui.notifications.error(`Failed to add enemy: ${err.message}`);
-        }
+        await CampaignEvents.end(this.actor, event.currentTarget.dataset.eventId);
     }
 
     /**
-     * Handle removing an enemy
+     * Handle establishing a relation with another faction
      * @param {Event} event - The click event
      * @private
      */
-    async _onRemoveEnemy(event) {
+    async _onAddRelation(event) {
         event.preventDefault();
-        try {
-            const index = parseInt(event.currentTarget.dataset.index);
-            const enemies = this.actor.system.enemies || [];
-            if (isNaN(index)) {
-                throw new Error('Invalid enemy index');
-            }
-            if (index >= 0 && index < enemies.length) {
-                const enemyName = enemies[index].name;
-                enemies.splice(index, 1);
-                await this.actor.update({
-                    'system.enemies': enemies
-                });
-                logger.debug(`Removed enemy ${enemyName} from faction ${this.actor.name}`);
-            } else {
-                throw new Error('Enemy index out of range');
-            }
-        } catch (err) {
-            logger.error(`Failed to remove enemy from faction ${this.actor.name}:`, err);
-            ui.notifications.error(`Failed to remove enemy: ${err.message}`);
-        }
+        const row = event.currentTarget.closest('.add-relation-row');
+        const other = fromUuidSync(row.querySelector('.new-relation-faction').value);
+        const stance = row.querySelector('.new-relation-stance').value;
+        await Diplomacy.setStance(this.actor, other, stance);
     }
 
     /**
-     * Handle adding a new ally
+     * Handle ending a relation with another faction
      * @param {Event} event - The click event
      * @private
      */
-    async _onAddAlly(event) {
+    async _onRemoveRelation(event) {
         event.preventDefault();
-        try {
-            const allies = this.actor.system.allies || [];
-            allies.push({
-                name: '新盟友',
-                deeds: ''
-            });
-            await this.actor.update({
-                'system.allies': allies
-            });
-            logger.debug(`Added new ally to faction ${this.actor.name}`);
-        } catch (err) {
-            logger.error(`Failed to add ally to faction ${this.actor.name}:`, err);
-            ui.notifications.error(`Failed to add ally: ${err.message}`);
-        }
+        const uuid = event.currentTarget.dataset.uuid;
+        await Diplomacy.removeRelation(this.actor, fromUuidSync(uuid) ?? uuid);
+    }
+
+    /**
+     * Handle changing the stance towards another faction
+     * @param {Event} event - The change event
+     * @private
+     */
+    async _onChangeStance(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const other = fromUuidSync(event.currentTarget.dataset.uuid);
+        await Diplomacy.setStance(this.actor, other, event.currentTarget.value);
+    }
+
+    /**
+     * Handle recording a deed with another faction
+     * @param {Event} event - The change event
+     * @private
+     */
+    async _onAddDeed(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const text = event.currentTarget.value.trim();
+        if (!text) return;
+        const other = fromUuidSync(event.currentTarget.dataset.uuid);
+        await Diplomacy.recordDeed(this.actor, other, text);
+    }
+
+    /**
+     * Handle removing a deed from the history with another faction
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onRemoveDeed(event) {
+        event.preventDefault();
+        const { uuid, index } = event.currentTarget.dataset;
+        await Diplomacy.removeDeed(this.actor, fromUuidSync(uuid), parseInt(index));
+    }
+
+    /**
+     * Handle signing a treaty with another faction, asking for its type, duration and terms
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onSignTreaty(event) {
+        event.preventDefault();
+        const other = fromUuidSync(event.currentTarget.dataset.uuid);
+        if (!other) return;
+
+        const options = Object.entries(CONFIG.BATTLEFIELD.diplomacy.treatyTypes)
+            .map(([key, type]) => `<option value="${key}">${type.label}</option>`).join('');
+
+        const treaty = await foundry.applications.api.DialogV2.prompt({
+            window: { title: `${this.actor.name} - 与 ${other.name} 签订条约` },
+            content: `
+                <div class="form-group">
+                    <label>类型:</label>
+                    <select name="type">${options}</select>
+                </div>
+                <div class="form-group">
+                    <label>持续回合:</label>
+                    <input name="duration" type="number" min="1" placeholder="长期有效" />
+                </div>
+                <div class="form-group">
+                    <label>条款:</label>
+                    <textarea name="terms" rows="4" placeholder="双方约定的条款..."></textarea>
+                </div>`,
+            ok: {
+                label: '签订',
+                icon: 'fas fa-file-signature',
+                callback: (event, button) => ({
+                    type: button.form.elements.type.value,
+                    duration: parseInt(button.form.elements.duration.value) || null,
+                    terms: button.form.elements.terms.value
+                })
+            },
+            rejectClose: false
+        });
+
+        if (treaty) await Diplomacy.signTreaty(this.actor, other, treaty);
+    }
+
+    /**
+     * Handle ending a treaty with another faction before it expires
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onEndTreaty(event) {
+        event.preventDefault();
+        const { uuid, treatyId } = event.currentTarget.dataset;
+
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: '终止条约' },
+            content: '<p>确定要终止这份条约吗？这会记入双方的外交事迹。</p>',
+            rejectClose: false
+        });
+        if (confirmed) await Diplomacy.endTreaty(this.actor, fromUuidSync(uuid), treatyId);
     }
 
     /**
-     * Handle removing an ally
+     * Handle removing a legacy free-text enemy or ally
      * @param {Event} event - The click event
      * @private
      */
-    async _onRemoveAlly(event) {
+    async _onRemoveLegacyRelation(event) {
         event.preventDefault();
         try {
-            const index = parseInt(event.currentTarget.dataset.index);
-            const allies = this.actor.system.allies || [];
-            if (isNaN(index)) {
-                throw new Error('Invalid ally index');
-            }
-            if (index >= 0 && index < allies.length) {
-                const allyName = allies[index].name;
-                allies.splice(index, 1);
-                await this.actor.update({
-                    'system.allies': allies
-                });
-                logger.debug(`Removed ally ${allyName} from faction ${this.actor.name}`);
-            } else {
-                throw new Error('Ally index out of range');
-            }
+            const { list, index } = event.currentTarget.dataset;
+            const entries = [...(this.actor.system[list] || [])];
+            entries.splice(parseInt(index), 1);
+            await this.actor.update({ [`system.${list}`]: entries });
+            logger.debug(`Removed legacy ${list} entry ${index} from faction ${this.actor.name}`);
         } catch (err) {
-            logger.error(`Failed to remove ally from faction ${this.actor.name}:`, err);
-            ui.notifications.error(`Failed to remove ally: ${err.message}`);
+            logger.error(`Failed to remove legacy relation from faction ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to remove record: ${err.message}`);
         }
     }
 }
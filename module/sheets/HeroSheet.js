@@ -0,0 +1,161 @@
+/*
+ * HeroSheet - Item sheet for Hero items
+ */
+
+import logger from '../utils/Logger.js';
+import { CampaignClock } from '../campaign/CampaignClock.js';
+
+export class HeroSheet extends ItemSheet {
+    /**
+     * Define default rendering options for the sheet
+     */
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            classes: ['battlefield-system', 'sheet', 'item', 'hero'],
+            template: 'systems/battlefield-system/templates/item/hero-sheet.hbs',
+            width: 520,
+            height: 600,
+            tabs: [
+                { navSelector: '.sheet-tabs', contentSelector: '.sheet-body', initial: 'main' }
+            ]
+        });
+    }
+
+    /**
+     * Prepare data for rendering the sheet
+     */
+    getData() {
+        const data = super.getData();
+
+        // Add the item's system data
+        data.system = this.item.system;
+
+        // Attribute inputs with their labels
+        data.attributes = Object.entries(CONFIG.BATTLEFIELD.heroAttributes).map(([key, label]) => ({
+            key,
+            label,
+            value: this.item.system.attributes[key] ?? 0
+        }));
+
+        // Magic items and mounts carried by the hero
+        data.equipment = this.item.system.getEquipment().map(item => ({
+            name: item.name,
+            img: item.img,
+            points: item.system.points
+        }));
+        data.equipmentPoints = this.item.system.getEquipmentPoints();
+
+        // The army the hero serves in, if any
+        const army = this.item.system.army;
+        data.army = army ? { uuid: army.uuid, name: army.name } : null;
+
+        return data;
+    }
+
+    /**
+     * Activate event listeners using the prepared sheet HTML
+     * @param {HTMLElement} html - The prepared HTML object ready to be rendered into the DOM
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        // Add injury button
+        html.find('.add-injury').click(this._onAddInjury.bind(this));
+
+        // Remove injury buttons
+        html.find('.remove-injury').click(this._onRemoveInjury.bind(this));
+
+        // Open the hero's army
+        html.find('.hero-army[data-uuid]').click(this._onOpenArmy.bind(this));
+    }
+
+    /**
+     * Handle adding a new injury to the hero, dated to the current campaign turn
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onAddInjury(event) {
+        event.preventDefault();
+
+        try {
+            const injuries = this.item.system.toObject().injuries;
+            injuries.push({
+                description: '',
+                turn: CampaignClock.turn
+            });
+
+            await this.item.update({ 'system.injuries': injuries });
+            logger.debug(`Added injury to hero ${this.item.name}`);
+        } catch (err) {
+            logger.error(`Failed to add injury to hero ${this.item.name}:`, err);
+            ui.notifications.error(`Failed to add injury: ${err.message}`);
+        }
+    }
+
+    /**
+     * Handle removing an injury from the hero
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onRemoveInjury(event) {
+        event.preventDefault();
+
+        try {
+            const index = parseInt(event.currentTarget.dataset.index);
+            const injuries = this.item.system.toObject().injuries;
+
+            if (isNaN(index) || index < 0 || index >= injuries.length) {
+                throw new Error('Injury index out of range');
+            }
+
+            injuries.splice(index, 1);
+            await this.item.update({ 'system.injuries': injuries });
+            logger.debug(`Removed injury ${index} from hero ${this.item.name}`);
+        } catch (err) {
+            logger.error(`Failed to remove injury from hero ${this.item.name}:`, err);
+            ui.notifications.error(`Failed to remove injury: ${err.message}`);
+        }
+    }
+
+    /**
+     * Handle opening the sheet of the army the hero serves in
+     * @param {Event} event - The click event
+     * @private
+     */
+    _onOpenArmy(event) {
+        event.preventDefault();
+        fromUuidSync(event.currentTarget.dataset.uuid)?.sheet.render(true);
+    }
+
+    /**
+     * Handle form submission for the sheet
+     * @param {Event} event - The form submission event
+     * @param {Object} formData - The form data to process
+     * @private
+     */
+    async _updateObject(event, formData) {
+        try {
+            // Process injury data
+            const injuries = this.item.system.toObject().injuries;
+
+            for (let i = 0; i < injuries.length; i++) {
+                if (formData[`injury-description-${i}`] !== undefined) {
+                    injuries[i].description = formData[`injury-description-${i}`];
+                    delete formData[`injury-description-${i}`];
+                }
+                if (formData[`injury-turn-${i}`] !== undefined) {
+                    const turn = parseInt(formData[`injury-turn-${i}`]);
+                    injuries[i].turn = turn > 0 ? turn : null;
+                    delete formData[`injury-turn-${i}`];
+                }
+            }
+
+            await this.item.update({ ...formData, 'system.injuries': injuries });
+
+            logger.debug(`Updated hero sheet for ${this.item.name}`);
+        } catch (err) {
+            logger.error(`Failed to update hero sheet for ${this.item.name}:`, err);
+            ui.notifications.error(`Failed to save changes: ${err.message}`);
+        }
+    }
+}
@@ -0,0 +1,79 @@
+/*
+ * RelicSheet - Item sheet for Relic items
+ */
+
+import logger from '../utils/Logger.js';
+import { Relics } from '../campaign/Relics.js';
+
+export class RelicSheet extends ItemSheet {
+    /**
+     * Define default rendering options for the sheet
+     */
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            classes: ['battlefield-system', 'sheet', 'item', 'relic'],
+            template: 'systems/battlefield-system/templates/item/relic-sheet.hbs',
+            width: 480,
+            height: 520
+        });
+    }
+
+    /**
+     * Prepare data for rendering the sheet
+     */
+    getData() {
+        const data = super.getData();
+
+        // Add the item's system data
+        data.system = this.item.system;
+
+        // Where the relic is and who owns it
+        const holder = this.item.system.holder;
+        const faction = this.item.system.faction;
+        data.location = this.item.system.location;
+        data.holder = holder ? { uuid: holder.uuid, name: holder.name } : null;
+        data.faction = faction ? { uuid: faction.uuid, name: faction.name } : null;
+
+        return data;
+    }
+
+    /**
+     * Activate event listeners using the prepared sheet HTML
+     * @param {HTMLElement} html - The prepared HTML object ready to be rendered into the DOM
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        // Open the holder or faction
+        html.find('.relic-link[data-uuid]').click(this._onOpenLink.bind(this));
+
+        // Lose the relic
+        html.find('.lose-relic').click(this._onLoseRelic.bind(this));
+    }
+
+    /**
+     * Handle opening the sheet of the relic's holder or faction
+     * @param {Event} event - The click event
+     * @private
+     */
+    _onOpenLink(event) {
+        event.preventDefault();
+        fromUuidSync(event.currentTarget.dataset.uuid)?.sheet.render(true);
+    }
+
+    /**
+     * Handle losing the relic: it leaves its holder and moves to the Items directory
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onLoseRelic(event) {
+        event.preventDefault();
+
+        const lost = await Relics.transfer(this.item, null);
+        if (lost) {
+            this.close();
+            lost.sheet.render(true);
+            logger.debug(`Relic ${lost.name} is now lost`);
+        }
+    }
+}
@@ -3,6 +3,13 @@
  */
 
 import logger from '../utils/Logger.js';
+import { CampaignClock } from '../campaign/CampaignClock.js';
+import { Economy } from '../campaign/Economy.js';
+import { Relics } from '../campaign/Relics.js';
+import { CampaignEvents } from '../campaign/CampaignEvents.js';
+import { MapGraph } from '../campaign/MapGraph.js';
+import { Recruitment } from '../campaign/Recruitment.js';
+import BattlefieldUtils from '../../lib/utils.js';
 // TextEditor is a global Foundry VTT API - no need to import explicitly
 
 export class StructureSheet extends ActorSheet {
@@ -31,18 +38,95 @@ export class StructureSheet extends ActorSheet {
         // Add the actor's system data
         data.system = this.actor.system;
         
+        // Current campaign turn shown in the header
+        data.campaign = CampaignClock.getState();
+        
+        // Faction reference dropdown, keeping unmatched legacy names selectable
+        const faction = this.actor.getFaction();
+        const reference = this.actor.factionReference;
+        data.factionChoices = this.actor.constructor.getFactionChoices();
+        if (reference && !(reference in data.factionChoices)) {
+            data.factionChoices[reference] = faction ? faction.name : `${reference}（未关联）`;
+        }
+        data.faction = faction ? {
+            name: faction.name,
+            icon: faction.system.icon || faction.img
+        } : null;
+        
         // Format status Items for display
         data.statusEffects = this.actor.getStatusItems().map(item => ({
             id: item.id,
             name: item.name,
             label: item.name,
             icon: item.img || 'icons/svg/hazard.svg',
-            isActive: true,
+            isActive: item.system?.isActive ?? true,
+            changes: item.system?.changes || [],
+            duration: item.system?.duration || {},
             system: {
                 description: item.system?.description || ''
             }
         }));
         
+        // Preset statuses offered by the picker
+        data.statusPresets = Object.values(BattlefieldUtils.getStatusEffects()).map(preset => ({
+            id: preset.id,
+            label: preset.label,
+            icon: preset.icon,
+            isActive: this.actor.statuses.has(preset.id)
+        }));
+        
+        // Options for the status change editor
+        data.statusChangeKeys = CONFIG.BATTLEFIELD.statusChangeKeys.structure;
+        data.statusChangeModes = CONFIG.BATTLEFIELD.statusChangeModes;
+        
+        // Fields currently modified by active statuses are shown read-only
+        data.overridden = Object.fromEntries(
+            Object.keys(foundry.utils.flattenObject(this.actor.overrides || {}))
+                .map(key => [key.replace(/^system\./, ''), true])
+        );
+        
+        // Resource type options for the production list
+        data.resourceTypes = Economy.getResourceLabels();
+        
+        // Armies garrisoned here and the defense their legions add
+        data.garrison = {
+            armies: this.actor.system.getGarrisonedArmies().map(army => army.name).join('、'),
+            defense: this.actor.system.garrisonDefense
+        };
+        
+        // Neighbouring plots; links drawn on the viewed scene cannot be removed here
+        const linked = this.actor.system.getNeighbours();
+        const neighbours = MapGraph.getNeighbours(this.actor);
+        data.neighbours = neighbours.map(structure => ({
+            uuid: structure.uuid,
+            name: structure.name,
+            img: structure.img,
+            drawn: !linked.includes(structure)
+        }));
+        data.neighbourChoices = Object.fromEntries(game.actors
+            .filter(actor => actor.isStructureActor() && actor !== this.actor && !neighbours.includes(actor))
+            .map(structure => [structure.uuid, structure.name]));
+        
+        // Recruitment offered by the building type
+        const recruitment = this.actor.system.getRecruitment();
+        data.recruitment = recruitment ? {
+            label: recruitment.label,
+            cap: recruitment.cap,
+            remaining: Recruitment.getRemaining(this.actor),
+            cost: Economy.formatResources(Recruitment.computeCost(100))
+        } : null;
+        
+        // Campaign events currently active on the structure
+        data.activeEvents = CampaignEvents.getActiveEvents(this.actor);
+        
+        // Relics held here
+        data.relics = Relics.getRelics(this.actor).map(item => ({
+            id: item.id,
+            name: item.name,
+            img: item.img,
+            effect: item.system.effect
+        }));
+        
         // Get full type description
         data.fullType = this.actor.system.getFullType ? this.actor.system.getFullType() : this.actor.system.structureType;
         
@@ -59,6 +143,9 @@ export class StructureSheet extends ActorSheet {
         // Add status button
         html.find('.add-status-btn[data-action="create-status"]').click(this._onAddCustomStatus.bind(this));
         
+        // Preset status picker
+        html.find('.add-status[data-status-preset]').click(this._onTogglePresetStatus.bind(this));
+        
         // Remove status Item buttons
         html.find('.remove-status').click(this._onRemoveStatus.bind(this));
         
@@ -66,12 +153,68 @@ export class StructureSheet extends ActorSheet {
         html.find('.status-name').change(this._onStatusNameChange.bind(this));
         html.find('.status-description-input').change(this._onStatusDescriptionChange.bind(this));
         
+        // Status activation and numeric change handlers
+        html.find('.status-active-toggle').change(this._onToggleStatusActive.bind(this));
+        html.find('.add-status-change').click(this._onAddStatusChange.bind(this));
+        html.find('.remove-status-change').click(this._onRemoveStatusChange.bind(this));
+        html.find('.status-change-input').change(this._onStatusChangeInput.bind(this));
+        html.find('.status-duration-input').change(this._onStatusDurationChange.bind(this));
+        
         // Toggle capturable checkbox
         html.find('.capturable-checkbox').change(this._onToggleCapturable.bind(this));
         
+        // Resource production rows
+        html.find('.add-production').click(this._onAddProduction.bind(this));
+        html.find('.remove-production').click(this._onRemoveProduction.bind(this));
+        
+        // End active campaign events
+        html.find('.end-event').click(this._onEndEvent.bind(this));
+        
+        // Relic buttons
+        html.find('.edit-relic').click(this._onEditRelic.bind(this));
+        html.find('.lose-relic').click(this._onLoseRelic.bind(this));
+        
+        // Recruit troops
+        html.find('.recruit-btn').click(this._onRecruit.bind(this));
+        
+        // Neighbouring plots
+        html.find('.add-neighbour').click(this._onAddNeighbour.bind(this));
+        html.find('.remove-neighbour').click(this._onRemoveNeighbour.bind(this));
+        html.find('.map-neighbour').click(this._onOpenNeighbour.bind(this));
 
     }
 
+    /**
+     * Handle ending an active campaign event early
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onEndEvent(event) {
+        event.preventDefault();
+        await CampaignEvents.end(this.actor, event.currentTarget.dataset.eventId);
+    }
+
+    /**
+     * Handle opening the sheet of a relic
+     * @param {Event} event - The click event
+     * @private
+     */
+    _onEditRelic(event) {
+        event.preventDefault();
+        this.actor.items.get(event.currentTarget.dataset.itemId)?.sheet.render(true);
+    }
+
+    /**
+     * Handle losing a relic: it leaves this structure and moves to the Items directory
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onLoseRelic(event) {
+        event.preventDefault();
+        const relic = this.actor.items.get(event.currentTarget.dataset.itemId);
+        if (relic) await Relics.transfer(relic, null);
+    }
+
     /**
      * Handle adding a custom status Item to the structure
      * @param {Event} event - The click event
@@ -91,6 +234,25 @@ export class StructureSheet extends ActorSheet {
         }
     }
     
+    /**
+     * Handle toggling a preset status from the picker
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onTogglePresetStatus(event) {
+        event.preventDefault();
+        
+        try {
+            const statusId = event.currentTarget.dataset.statusPreset;
+            const active = await this.actor.toggleStatusEffect(statusId);
+            
+            logger.debug(`Toggled preset status ${statusId} (${active}) on structure ${this.actor.name}`);
+        } catch (err) {
+            logger.error(`Failed to toggle preset status on structure ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to toggle status: ${err.message}`);
+        }
+    }
+    
     /**
      * Handle status name change
      * @param {Event} event - The change event
@@ -149,6 +311,130 @@ export class StructureSheet extends ActorSheet {
         }
     }
 
+    /**
+     * Handle toggling whether a status Item is active
+     * @param {Event} event - The change event
+     * @private
+     */
+    async _onToggleStatusActive(event) {
+        event.preventDefault();
+        
+        try {
+            const statusItem = this.actor.items.get(event.currentTarget.dataset.statusId);
+            
+            if (statusItem) {
+                await statusItem.update({ 'system.isActive': event.currentTarget.checked });
+                logger.debug(`Set status ${statusItem.name} active=${event.currentTarget.checked} for structure ${this.actor.name}`);
+            }
+        } catch (err) {
+            logger.error(`Failed to toggle status for structure ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to toggle status: ${err.message}`);
+        }
+    }
+
+    /**
+     * Handle adding a numeric change to a status Item
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onAddStatusChange(event) {
+        event.preventDefault();
+        
+        try {
+            const statusItem = this.actor.items.get(event.currentTarget.dataset.statusId);
+            
+            if (statusItem) {
+                const changes = statusItem.system.toObject().changes;
+                changes.push({
+                    key: Object.keys(CONFIG.BATTLEFIELD.statusChangeKeys.structure)[0],
+                    mode: CONST.ACTIVE_EFFECT_MODES.ADD,
+                    value: '0'
+                });
+                await statusItem.update({ 'system.changes': changes });
+                logger.debug(`Added change to status ${statusItem.name} for structure ${this.actor.name}`);
+            }
+        } catch (err) {
+            logger.error(`Failed to add status change for structure ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to add status change: ${err.message}`);
+        }
+    }
+
+    /**
+     * Handle removing a numeric change from a status Item
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onRemoveStatusChange(event) {
+        event.preventDefault();
+        
+        try {
+            const { statusId, index } = event.currentTarget.dataset;
+            const statusItem = this.actor.items.get(statusId);
+            
+            if (statusItem) {
+                const changes = statusItem.system.toObject().changes;
+                changes.splice(parseInt(index), 1);
+                await statusItem.update({ 'system.changes': changes });
+                logger.debug(`Removed change ${index} from status ${statusItem.name} for structure ${this.actor.name}`);
+            }
+        } catch (err) {
+            logger.error(`Failed to remove status change for structure ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to remove status change: ${err.message}`);
+        }
+    }
+
+    /**
+     * Handle editing the key, mode or value of a status change
+     * @param {Event} event - The change event
+     * @private
+     */
+    async _onStatusChangeInput(event) {
+        event.preventDefault();
+        
+        try {
+            const { statusId, index, field } = event.currentTarget.dataset;
+            const statusItem = this.actor.items.get(statusId);
+            
+            if (statusItem) {
+                const changes = statusItem.system.toObject().changes;
+                const value = event.currentTarget.value;
+                changes[parseInt(index)][field] = field === 'mode' ? parseInt(value) : value;
+                await statusItem.update({ 'system.changes': changes });
+                logger.debug(`Updated change ${index} of status ${statusItem.name} for structure ${this.actor.name}`);
+            }
+        } catch (err) {
+            logger.error(`Failed to update status change for structure ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to update status change: ${err.message}`);
+        }
+    }
+
+    /**
+     * Handle editing the remaining duration of a status Item
+     * @param {Event} event - The change event
+     * @private
+     */
+    async _onStatusDurationChange(event) {
+        event.preventDefault();
+        
+        try {
+            const { statusId, field } = event.currentTarget.dataset;
+            const statusItem = this.actor.items.get(statusId);
+            
+            if (statusItem) {
+                // An empty input means the status lasts indefinitely
+                const raw = event.currentTarget.value.trim();
+                const value = raw === '' ? null : Math.max(parseInt(raw) || 0, 0);
+                await statusItem.update({
+                    'system.duration': { ...statusItem.system.duration, [field]: value }
+                });
+                logger.debug(`Updated ${field} duration of status ${statusItem.name} for structure ${this.actor.name}`);
+            }
+        } catch (err) {
+            logger.error(`Failed to update status duration for structure ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to update status duration: ${err.message}`);
+        }
+    }
+
     /**
      * Handle removing a status Item from the structure
      * @param {Event} event - The click event
@@ -198,6 +484,134 @@ export class StructureSheet extends ActorSheet {
         }
     }
 
+    /**
+     * Handle recruiting troops at the structure
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onRecruit(event) {
+        event.preventDefault();
+        await Recruitment.promptRecruit(this.actor);
+    }
+
+    /**
+     * Handle linking the plot selected in the neighbour picker
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onAddNeighbour(event) {
+        event.preventDefault();
+        const row = event.currentTarget.closest('.add-neighbour-row');
+        const uuid = row.querySelector('.new-neighbour').value;
+        if (uuid) await MapGraph.link(this.actor, fromUuidSync(uuid));
+    }
+
+    /**
+     * Handle removing the sheet link to a neighbouring plot
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onRemoveNeighbour(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const other = fromUuidSync(event.currentTarget.dataset.uuid);
+        if (other) await MapGraph.unlink(this.actor, other);
+    }
+
+    /**
+     * Handle opening the sheet of a neighbouring plot
+     * @param {Event} event - The click event
+     * @private
+     */
+    _onOpenNeighbour(event) {
+        event.preventDefault();
+        fromUuidSync(event.currentTarget.dataset.uuid)?.sheet.render(true);
+    }
+
+    /**
+     * Handle adding a resource production row
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onAddProduction(event) {
+        event.preventDefault();
+        
+        try {
+            const production = this.actor.system.toObject().resourceProduction;
+            production.push({
+                type: Object.keys(CONFIG.BATTLEFIELD.resourceTypes)[0],
+                amount: 0
+            });
+            await this.actor.update({
+                'system.resourceProduction': production
+            });
+            logger.debug(`Added resource production to structure ${this.actor.name}`);
+        } catch (err) {
+            logger.error(`Failed to add resource production to structure ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to add resource production: ${err.message}`);
+        }
+    }
+
+    /**
+     * Handle removing a resource production row
+     * @param {Event} event - The click event
+     * @private
+     */
+    async _onRemoveProduction(event) {
+        event.preventDefault();
+        
+        try {
+            const index = parseInt(event.currentTarget.dataset.index);
+            const production = this.actor.system.toObject().resourceProduction;
+            if (isNaN(index) || index < 0 || index >= production.length) {
+                throw new Error('Production index out of range');
+            }
+            production.splice(index, 1);
+            await this.actor.update({
+                'system.resourceProduction': production
+            });
+            logger.debug(`Removed resource production ${index} from structure ${this.actor.name}`);
+        } catch (err) {
+            logger.error(`Failed to remove resource production from structure ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to remove resource production: ${err.message}`);
+        }
+    }
+
+    /**
+     * Handle dropping a Faction actor onto the sheet to assign it as the owner
+     * @param {DragEvent} event - The drop event
+     * @param {Object} data - The drop data
+     * @private
+     */
+    async _onDropActor(event, data) {
+        const dropped = await Actor.implementation.fromDropData(data);
+        if (!dropped?.isFactionActor?.()) return super._onDropActor(event, data);
+        if (!this.actor.isOwner) return false;
+        
+        try {
+            await this.actor.update({ 'system.ownerFaction': dropped.uuid });
+            logger.debug(`Assigned faction ${dropped.name} to structure ${this.actor.name}`);
+            return dropped;
+        } catch (err) {
+            logger.error(`Failed to assign faction to structure ${this.actor.name}:`, err);
+            ui.notifications.error(`Failed to assign faction: ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Handle dropping a relic onto the sheet to store it here
+     * Relics from an army or another structure move here; others fall back to the default behaviour.
+     * @param {DragEvent} event - The drop event
+     * @param {Object} data - The drop data
+     * @private
+     */
+    async _onDropItem(event, data) {
+        const item = await Item.implementation.fromDropData(data);
+        if (item?.type !== 'relic') return super._onDropItem(event, data);
+        return this.actor.isOwner ? Relics.transfer(item, this.actor) : false;
+    }
+
     /**
      * Handle form submission for the sheet
      * @param {Event} event - The form submission event
@@ -206,8 +620,22 @@ export class StructureSheet extends ActorSheet {
      */
     async _updateObject(event, formData) {
         try {
-            // Update the actor with the form data
-            await this.actor.update(formData);
+            // Process resource production rows
+            const production = this.actor.system.toObject().resourceProduction;
+            
+            for (let i = 0; i < production.length; i++) {
+                if (formData[`production-type-${i}`] !== undefined) {
+                    production[i].type = formData[`production-type-${i}`];
+                    delete formData[`production-type-${i}`];
+                }
+                if (formData[`production-amount-${i}`] !== undefined) {
+                    production[i].amount = Math.max(parseInt(formData[`production-amount-${i}`]) || 0, 0);
+                    delete formData[`production-amount-${i}`];
+                }
+            }
+            
+            // Update the actor with the form data and production rows
+            await this.actor.update({...formData, 'system.resourceProduction': production});
             
             logger.debug(`Updated structure sheet for ${this.actor.name}`);
         } catch (err) {